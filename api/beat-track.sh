@@ -0,0 +1,27 @@
+#!/usr/bin/env bash
+# beat-track.sh
+# Usage: beat-track.sh <audio_path> <input_mid_path> <output_mid_path>
+# Runs beat_track.py (tempo map, time signature and downbeats from the audio,
+# see its docstring) inside the basic-pitch virtualenv, which already provides
+# librosa and mido. Like mp3-to-midi.sh it is meant to be run from the
+# `api` directory.
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+VENV_ACTIVATE="../.venv/bin/activate"
+
+if [[ "$#" -ne 3 ]]; then
+    echo "Usage: $0 <audio_path> <input_mid_path> <output_mid_path>" >&2
+    exit 1
+fi
+
+if [[ -f "$VENV_ACTIVATE" ]]; then
+    # shellcheck disable=SC1090
+    source "$VENV_ACTIVATE"
+else
+    echo "Virtualenv activate not found at $VENV_ACTIVATE" >&2
+    exit 2
+fi
+
+python "$SCRIPT_DIR/beat_track.py" "$@"
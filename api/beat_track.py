@@ -0,0 +1,200 @@
+"""
+Give a transcription real bars. basic-pitch writes every MIDI at a fixed
+120 BPM; this tracks the beat of the source audio with librosa and rewrites
+the MIDI's tempo map and time signature so beats and bars land where the
+music has them. Note times (in seconds) don't move.
+
+  1. beats: librosa's beat tracker on the onset envelope
+  2. tempo: consecutive beats are grouped while their spacing stays within
+     TEMPO_TOLERANCE of the group's average; each group gets one tempo event,
+     so tempo changes come out as changes and steady passages stay clean
+  3. meter and downbeats: 3/4 or 4/4 and the phase whose beats carry the most
+     harmonic change (chroma novelty) and bass onsets
+  4. anything before the first beat becomes a pickup, plus bars of silence
+
+The MIDI is rewritten with mido's public API: every event moves to the tick
+that keeps its time in seconds under the new tempo map.
+
+Usage: python beat_track.py <audio> <input.mid> <output.mid>
+librosa and mido come with basic-pitch.
+"""
+import argparse
+import bisect
+
+import librosa
+import mido
+import numpy as np
+
+TEMPO_TOLERANCE = 0.04  # relative beat spacing change that starts a new tempo
+MAX_LEAD_IN_BPM = 300  # a faster lead-in starts from a later beat instead
+DEFAULT_TEMPO = 500000  # microseconds per beat (120 BPM) until a file sets one
+METERS = (4, 3)
+THREE_FOUR_MARGIN = 1.15  # 3/4 must beat 4/4 by this much (4/4 is far more common)
+MIN_BEATS = 8
+
+
+def track_beats(audio_path):
+    """Beat times (seconds) and, per beat, how much it looks like a downbeat."""
+    y, sr = librosa.load(audio_path, sr=22050, mono=True)
+    onset_env = librosa.onset.onset_strength(y=y, sr=sr)
+    _, beat_frames = librosa.beat.beat_track(onset_envelope=onset_env, sr=sr, units='frames')
+    beat_times = librosa.frames_to_time(beat_frames, sr=sr)
+    if len(beat_frames) < MIN_BEATS:
+        return beat_times, np.zeros(len(beat_frames))  # too few to place bars: main keeps the fixed tempo
+
+    # Harmony changing and the bass coming in are both downbeat evidence
+    chroma = librosa.feature.chroma_cqt(y=y, sr=sr)
+    bounds = list(beat_frames) + [chroma.shape[1]]
+    per_beat = np.stack([np.median(chroma[:, bounds[i]:max(bounds[i + 1], bounds[i] + 1)], axis=1)
+                         for i in range(len(beat_frames))], axis=1)
+    per_beat /= np.linalg.norm(per_beat, axis=0, keepdims=True) + 1e-9
+    novelty = np.concatenate([[0.0], 1 - np.sum(per_beat[:, 1:] * per_beat[:, :-1], axis=0)])
+    bass_env = librosa.onset.onset_strength(y=y, sr=sr, fmax=250, n_mels=32)
+    bass = bass_env[np.minimum(beat_frames, len(bass_env) - 1)]
+    evidence = novelty / (novelty.max() + 1e-9) + bass / (bass.max() + 1e-9)
+    return beat_times, evidence
+
+
+def choose_meter(evidence):
+    """(beats per bar, index of the first downbeat among the beats)."""
+    best = None
+    for meter in METERS:
+        for phase in range(meter):
+            on = evidence[phase::meter]
+            off = np.delete(evidence, np.arange(phase, len(evidence), meter))
+            score = on.mean() / (off.mean() + 1e-9)
+            if meter == 3:
+                score /= THREE_FOUR_MARGIN
+            if best is None or score > best[0]:
+                best = (score, meter, phase)
+    return best[1], best[2]
+
+
+def tempo_segments(beat_times):
+    """[(first beat index, last beat index)] with a steady beat inside each."""
+    segments = []
+    start = 0
+    for i in range(1, len(beat_times) - 1):
+        average = (beat_times[i] - beat_times[start]) / (i - start)
+        spacing = beat_times[i + 1] - beat_times[i]
+        if abs(spacing - average) > TEMPO_TOLERANCE * average:
+            segments.append((start, i))
+            start = i
+    segments.append((start, len(beat_times) - 1))
+    return segments
+
+
+def lead_in_beats(first_beat_time, spacing, meter, first_downbeat):
+    """Quarter notes before the first tracked beat: the pickup to the first
+    downbeat plus whole bars of silence, as many as keep the lead-in's tempo
+    closest to the song's."""
+    pickup = (meter - first_downbeat) % meter
+    bars = max(0, round((first_beat_time / spacing - pickup) / meter))
+    return pickup + meter * bars if pickup + meter * bars > 0 else meter
+
+
+def absolute(track):
+    """(tick, message) pairs of a track, ticks counted from its start."""
+    tick = 0
+    for msg in track:
+        tick += msg.time
+        yield tick, msg
+
+
+def tick_to_seconds(mid):
+    """Seconds at a tick of mid, through mid's own tempo map."""
+    tempos = sorted((tick, msg.tempo) for track in mid.tracks
+                    for tick, msg in absolute(track) if msg.type == 'set_tempo')
+    segments = [(0, 0.0, DEFAULT_TEMPO)]  # (first tick, seconds there, microseconds per beat)
+    for tick, tempo in tempos:
+        start_tick, start_seconds, previous = segments[-1]
+        seconds = start_seconds + mido.tick2second(tick - start_tick, mid.ticks_per_beat, previous)
+        if tick == start_tick:
+            segments[-1] = (tick, start_seconds, tempo)
+        else:
+            segments.append((tick, seconds, tempo))
+    starts = [segment[0] for segment in segments]
+
+    def convert(tick):
+        start_tick, start_seconds, tempo = segments[bisect.bisect_right(starts, tick) - 1]
+        return start_seconds + mido.tick2second(tick - start_tick, mid.ticks_per_beat, tempo)
+    return convert
+
+
+def tracked_tempo_map(beat_times, lead, res):
+    """[(seconds, tick, seconds per tick)] putting tracked beat k on quarter
+    note k + lead: one segment for the lead-in, then one per steady passage."""
+    segments = [(0.0, 0, beat_times[0] / (lead * res))]
+    for first, last in tempo_segments(beat_times):
+        seconds_per_beat = (beat_times[last] - beat_times[first]) / (last - first)
+        segments.append((beat_times[first], (first + lead) * res, seconds_per_beat / res))
+    return segments
+
+
+def write_tempo_map(mid, beat_times, meter, lead):
+    """Replace mid's tempo map and time signature with the tracked ones, moving
+    every event to the tick that keeps its time in seconds. Returns the tempi
+    written (BPM)."""
+    res = mid.ticks_per_beat
+    segments = tracked_tempo_map(beat_times, lead, res)
+    starts = [segment[0] for segment in segments]
+    to_seconds = tick_to_seconds(mid)
+
+    def to_tick(seconds):
+        start_seconds, start_tick, seconds_per_tick = segments[max(0, bisect.bisect_right(starts, seconds) - 1)]
+        return start_tick + round((seconds - start_seconds) / seconds_per_tick)
+
+    for i, track in enumerate(mid.tracks):
+        events = [(to_tick(to_seconds(tick)), msg) for tick, msg in absolute(track)
+                  if msg.type not in ('set_tempo', 'time_signature', 'end_of_track')]
+        if i == 0:
+            events.append((0, mido.MetaMessage('time_signature', numerator=meter, denominator=4)))
+            events += [(tick, mido.MetaMessage('set_tempo', tempo=round(seconds_per_tick * res * 1e6)))
+                       for _, tick, seconds_per_tick in segments]
+        events.sort(key=lambda event: event[0])  # stable, so same-tick events keep their order
+        end = events[-1][0] if events else 0
+        events.append((end, mido.MetaMessage('end_of_track')))
+
+        track.clear()
+        previous = 0
+        for tick, msg in events:
+            track.append(msg.copy(time=tick - previous))
+            previous = tick
+
+    return [60 / (seconds_per_tick * res) for _, _, seconds_per_tick in segments]
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Write a tracked tempo map into a transcribed MIDI')
+    parser.add_argument('audio', help='the audio the MIDI was transcribed from')
+    parser.add_argument('input', help='MIDI file from basic-pitch')
+    parser.add_argument('output', help='where to write the MIDI with the new tempo map')
+    args = parser.parse_args()
+
+    mid = mido.MidiFile(args.input)
+    beat_times, evidence = track_beats(args.audio)
+    meter, first_downbeat = choose_meter(evidence) if len(beat_times) >= MIN_BEATS else (4, 0)
+
+    # A first beat right at (or very near) 0 s leaves no room for the lead-in,
+    # whose tempo would come out absurd: start from a later beat instead
+    lead = None
+    while len(beat_times) >= MIN_BEATS:
+        lead = lead_in_beats(beat_times[0], beat_times[1] - beat_times[0], meter, first_downbeat)
+        if beat_times[0] * MAX_LEAD_IN_BPM >= 60 * lead:
+            break
+        beat_times = beat_times[1:]
+        first_downbeat = (first_downbeat - 1) % meter
+
+    if len(beat_times) < MIN_BEATS:
+        print(f'Only {len(beat_times)} usable beats found, keeping the fixed tempo')
+        mid.save(args.output)
+        return
+
+    tempi = write_tempo_map(mid, beat_times, meter, lead)
+    mid.save(args.output)
+    print(f'{len(beat_times)} beats in {meter}/4, {len(tempi)} tempo changes '
+          f'({min(tempi):.1f}-{max(tempi):.1f} BPM), {lead} beats of lead-in, saved to {args.output}')
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,26 @@
+#!/usr/bin/env bash
+# cleanup-midi.sh
+# Usage: cleanup-midi.sh <input_mid_path> <output_mid_path> [cleanup options...]
+# Runs cleanup_midi.py (quantization and note cleanup, see its docstring) inside
+# the basic-pitch virtualenv, which already provides pretty_midi. Like
+# mp3-to-midi.sh it is meant to be run from the `api` directory.
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+VENV_ACTIVATE="../.venv/bin/activate"
+
+if [[ "$#" -lt 2 ]]; then
+    echo "Usage: $0 <input_mid_path> <output_mid_path> [cleanup options...]" >&2
+    exit 1
+fi
+
+if [[ -f "$VENV_ACTIVATE" ]]; then
+    # shellcheck disable=SC1090
+    source "$VENV_ACTIVATE"
+else
+    echo "Virtualenv activate not found at $VENV_ACTIVATE" >&2
+    exit 2
+fi
+
+python "$SCRIPT_DIR/cleanup_midi.py" "$@"
@@ -0,0 +1,169 @@
+"""
+Clean up basic-pitch output: the same pass as cleanupNotes() in
+web/src/midiUtils.js, so server and browser agree on the notes.
+
+  1. drop notes quieter than --min-velocity
+  2. --octave-correction: drop octave-up harmonics sounding with a louder fundamental
+  3. merge overlapping same-pitch notes, and fragments less than --merge-gap ms apart
+  4. drop notes shorter than --min-duration ms
+  5. --grid N: move starts and ends towards N grid lines per beat of the tempo map,
+     by --strength (0..1), with every other line delayed by --swing (0..0.5 of a step)
+
+Usage: python cleanup_midi.py <input.mid> <output.mid> [options]
+Drum tracks pass through untouched. pretty_midi comes with basic-pitch.
+"""
+import argparse
+import math
+from bisect import bisect_right
+
+import pretty_midi
+
+OCTAVE_ONSET_TOLERANCE = 0.05  # seconds
+OCTAVE_VELOCITY_RATIO = 0.8    # a harmonic is quieter than this share of its fundamental
+
+
+class TempoMap:
+    """Seconds <-> beats along the file's tempo changes."""
+
+    def __init__(self, pm):
+        times, tempi = pm.get_tempo_changes()
+        if len(times) == 0:
+            times, tempi = [0.0], [120.0]
+        self.times = list(times)
+        self.tempi = list(tempi)
+        self.beats = [0.0]
+        for i in range(1, len(self.times)):
+            span = self.times[i] - self.times[i - 1]
+            self.beats.append(self.beats[-1] + span * self.tempi[i - 1] / 60)
+
+    def to_beats(self, t):
+        i = max(0, bisect_right(self.times, t) - 1)
+        return self.beats[i] + (t - self.times[i]) * self.tempi[i] / 60
+
+    def to_seconds(self, b):
+        i = max(0, bisect_right(self.beats, b) - 1)
+        return self.times[i] + (b - self.beats[i]) * 60 / self.tempi[i]
+
+
+def by_pitch(notes):
+    groups = {}
+    for n in notes:
+        groups.setdefault(n.pitch, []).append(n)
+    for group in groups.values():
+        group.sort(key=lambda n: n.start)
+    return groups.values()
+
+
+def is_fundamental_of(low, high):
+    return (low.pitch == high.pitch - 12
+            and low.end >= high.end - OCTAVE_ONSET_TOLERANCE
+            and high.velocity < low.velocity * OCTAVE_VELOCITY_RATIO)
+
+
+def drop_octave_harmonics(notes):
+    notes = sorted(notes, key=lambda n: n.start)
+    kept = []
+    for i, n in enumerate(notes):
+        near = []
+        j = i - 1
+        while j >= 0 and n.start - notes[j].start <= OCTAVE_ONSET_TOLERANCE:
+            near.append(notes[j])
+            j -= 1
+        j = i + 1
+        while j < len(notes) and notes[j].start - n.start <= OCTAVE_ONSET_TOLERANCE:
+            near.append(notes[j])
+            j += 1
+        if not any(is_fundamental_of(m, n) for m in near):
+            kept.append(n)
+    return kept
+
+
+def merge_fragments(notes, gap):
+    merged = []
+    for group in by_pitch(notes):
+        last = None
+        for n in group:
+            if last and (n.start < last.end or n.start - last.end < gap):
+                last.end = max(last.end, n.end)
+                last.velocity = max(last.velocity, n.velocity)
+            else:
+                last = pretty_midi.Note(n.velocity, n.pitch, n.start, n.end)
+                merged.append(last)
+    return merged
+
+
+def trim_overlaps(notes):
+    trimmed = []
+    for group in by_pitch(notes):
+        for i, n in enumerate(group):
+            nxt = group[i + 1] if i + 1 < len(group) else None
+            if nxt and nxt.start <= n.start:
+                continue  # same key twice on one grid line
+            if nxt and nxt.start < n.end:
+                n.end = nxt.start
+            trimmed.append(n)
+    return trimmed
+
+
+def quantizer(tempo, grid, strength, swing):
+    step = 1 / grid  # beats
+
+    def line(k):
+        return k * step + (swing * step if k % 2 else 0)
+
+    def snap(t):
+        beat = tempo.to_beats(t)
+        k = math.floor(beat / step + 0.5)  # round half up, like Math.round
+        best = min((c for c in (k - 1, k, k + 1) if c >= 0), key=lambda c: abs(line(c) - beat))
+        return tempo.to_seconds(beat + strength * (line(best) - beat))
+
+    return snap, step
+
+
+def cleanup(notes, tempo, args):
+    notes = [n for n in notes if n.velocity >= args.min_velocity]
+    if args.octave_correction:
+        notes = drop_octave_harmonics(notes)
+    notes = merge_fragments(notes, args.merge_gap / 1000)
+    notes = [n for n in notes if (n.end - n.start) * 1000 >= args.min_duration]
+
+    if args.grid > 0:
+        snap, step = quantizer(tempo, args.grid, args.strength, args.swing)
+        for n in notes:
+            start, end = snap(n.start), snap(n.end)
+            if end <= start:
+                end = tempo.to_seconds(tempo.to_beats(start) + step)
+            n.start, n.end = start, end
+        notes = trim_overlaps(notes)
+
+    return sorted(notes, key=lambda n: (n.start, n.pitch))
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Clean up a transcribed MIDI file')
+    parser.add_argument('input', help='MIDI file to clean up')
+    parser.add_argument('output', help='where to write the cleaned MIDI')
+    parser.add_argument('--grid', type=int, default=0, help='grid lines per beat (4 = 16ths, 3 = 8th triplets); 0 = off')
+    parser.add_argument('--strength', type=float, default=1.0, help='0..1, how far notes move towards the grid')
+    parser.add_argument('--swing', type=float, default=0.0, help='0..0.5 of a grid step, delays every other line')
+    parser.add_argument('--min-duration', type=float, default=0.0, help='ms; shorter notes are dropped')
+    parser.add_argument('--min-velocity', type=int, default=0, help='0..127; quieter notes are dropped')
+    parser.add_argument('--merge-gap', type=float, default=0.0, help='ms; same-pitch fragments closer than this merge')
+    parser.add_argument('--octave-correction', action='store_true', help='drop octave-up harmonics')
+    args = parser.parse_args()
+
+    pm = pretty_midi.PrettyMIDI(args.input)
+    tempo = TempoMap(pm)
+    before = after = 0
+    for instrument in pm.instruments:
+        if instrument.is_drum:
+            continue
+        before += len(instrument.notes)
+        instrument.notes = cleanup(instrument.notes, tempo, args)
+        after += len(instrument.notes)
+    pm.write(args.output)
+    print(f'Cleaned up {before} notes into {after}, saved to {args.output}')
+
+
+if __name__ == '__main__':
+    main()
@@ -1,11 +1,16 @@
 # first argument is input file and it is automatically generated in the same directory as terminal running the script.
+# optional second argument is the output mp4 path (defaults to <name>.mp4 in the current directory).
+# optional third argument is the SoundFont (.sf2) the audio is rendered with;
+# without one, timidity renders it with its own patches.
 
 input_file="$1"
 
 name="${input_file##*/}"
 name="${name%.*}"
+output_file="${2:-${name}.mp4}"
+soundfont="${3:-}"
 video_file="./midi-v-$$.mp4"
-audio_file="./midi-a-$$.mp3"
+audio_file="./midi-a-$$.wav"
 
 cleanup() {
     rm -f "$video_file" "$audio_file"
@@ -39,7 +44,11 @@ run_with_display ./MIDIVisualizer \
 
 
 # Generate Audio
-timidity $1 -Ow -o - | ffmpeg -i - -f mp3 -acodec libmp3lame -ab 192k "$audio_file"
+if [ -n "$soundfont" ]; then
+    fluidsynth -ni -q -r 44100 -T wav -F "$audio_file" "$soundfont" "$input_file"
+else
+    timidity "$input_file" -Ow -o "$audio_file"
+fi
 
 # Combine!
-ffmpeg -i "$video_file" -i "$audio_file" -filter_complex "[1:a]adelay=1250|1250[a]" -map 0:v -map "[a]" -c:v copy -c:a aac "${name}.mp4"
+ffmpeg -i "$video_file" -i "$audio_file" -filter_complex "[1:a]adelay=1250|1250[a]" -map 0:v -map "[a]" -c:v copy -c:a aac -y "$output_file"
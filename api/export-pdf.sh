@@ -0,0 +1,14 @@
+# Engrave a MusicXML file to PDF with the MuseScore command line.
+# first argument is the input .musicxml, second the output .pdf
+# MSCORE overrides the MuseScore binary (e.g. mscore4portable or a full path).
+
+input_file="$1"
+output_file="$2"
+mscore="${MSCORE:-mscore}"
+
+# MuseScore is a Qt app; without a display it still exports with the offscreen platform
+if [ -z "$DISPLAY" ]; then
+    export QT_QPA_PLATFORM=offscreen
+fi
+
+"$mscore" -o "$output_file" "$input_file"
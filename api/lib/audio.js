@@ -0,0 +1,67 @@
+const { runCommand } = require('./exec');
+
+// Magic numbers of the audio formats we accept. Uploads are identified by their
+// content, never by the filename extension or the browser's content type.
+const AUDIO_SIGNATURES = [
+    { type: 'wav', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WAVE' },
+    { type: 'flac', test: (b) => b.toString('ascii', 0, 4) === 'fLaC' },
+    { type: 'ogg', test: (b) => b.toString('ascii', 0, 4) === 'OggS' },
+    { type: 'm4a', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' },
+    // ID3 tag, or straight into an MPEG audio frame: 11 sync bits, then a valid
+    // version and a layer other than 00 (which is what AAC's ADTS frames carry)
+    {
+        type: 'mp3',
+        test: (b) => b.toString('ascii', 0, 3) === 'ID3'
+            || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x18) !== 0x08 && (b[1] & 0x06) !== 0),
+    },
+];
+
+const SUPPORTED_AUDIO = AUDIO_SIGNATURES.map(s => s.type);
+
+// Served with the song when its source audio is played back
+const AUDIO_CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    ogg: 'audio/ogg',
+    m4a: 'audio/mp4',
+};
+
+// 'mp3' | 'wav' | 'flac' | 'ogg' | 'm4a', or null for anything else
+function sniffAudioType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    const match = AUDIO_SIGNATURES.find(s => s.test(buffer));
+    return match ? match.type : null;
+}
+
+// "00:03:12.34" -> 192.34
+function parseTimestamp(text) {
+    const [h, m, s] = text.split(':').map(parseFloat);
+    return h * 3600 + m * 60 + s;
+}
+
+/**
+ * Re-encode any supported input to the MP3 that mp3-to-midi.sh expects.
+ * Paths are relative to the api directory (e.g. ./files/<name>.flac).
+ */
+async function normalizeAudio(inputPath, mp3Path, onProgress = () => {}) {
+    let duration = 0;
+    await runCommand('ffmpeg', [
+        '-y', '-hide_banner',
+        '-i', inputPath,
+        '-vn', '-codec:a', 'libmp3lame', '-q:a', '2',
+        '-progress', 'pipe:1',
+        mp3Path,
+    ], {
+        onLine: (line) => {
+            //   Duration: 00:03:12.34, start: 0.000000, bitrate: 1411 kb/s
+            const total = line.match(/Duration:\s*(\d+:\d+:[\d.]+)/);
+            if (total) duration = parseTimestamp(total[1]);
+            // -progress output: out_time=00:01:05.120000
+            const done = line.match(/^out_time=(\d+:\d+:[\d.]+)/);
+            if (done && duration > 0) onProgress((parseTimestamp(done[1]) / duration) * 100);
+        },
+    });
+}
+
+module.exports = { SUPPORTED_AUDIO, AUDIO_CONTENT_TYPES, sniffAudioType, normalizeAudio };
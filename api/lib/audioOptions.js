@@ -0,0 +1,42 @@
+const { parseOptions } = require('./options');
+const { listSoundfonts, defaultSoundfont } = require('./midiAudio');
+
+// How /mid-to-audio renders (see midiAudio.js). Requests use the snake_case
+// names (form fields next to mid_file); missing ones get the default.
+const AUDIO_FORMATS = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+};
+
+const AUDIO_OPTIONS = {
+    format: { type: 'string', values: Object.keys(AUDIO_FORMATS), default: 'mp3' },
+    // name of a SoundFont in api/soundfonts; null is the server's default
+    // (timidity's own patches when none is installed)
+    soundfont: { type: 'string', values: [], default: null },
+    // render the drum tracks (MIDI channel 10)
+    percussion: { type: 'boolean', default: true },
+    // EBU R128 loudness normalization to `loudness` (LUFS integrated)
+    normalize: { type: 'boolean', default: true },
+    loudness: { type: 'number', min: -36, max: -8, default: -16 },
+};
+
+// AUDIO_OPTIONS with the SoundFonts installed right now
+function audioOptionSpecs() {
+    return { ...AUDIO_OPTIONS, soundfont: { ...AUDIO_OPTIONS.soundfont, values: listSoundfonts() } };
+}
+
+/**
+ * Validate user supplied settings. Unknown keys are ignored, missing ones get
+ * the default. Returns { options } or { errors: [message, ...] }.
+ */
+function parseAudioOptions(input = {}) {
+    const { options, errors } = parseOptions(audioOptionSpecs(), input);
+
+    // Resolved here so the cache key names the SoundFont actually used
+    if (options.soundfont === null) options.soundfont = defaultSoundfont();
+
+    return errors.length ? { errors } : { options };
+}
+
+module.exports = { AUDIO_FORMATS, audioOptionSpecs, parseAudioOptions };
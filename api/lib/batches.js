@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const archiver = require('archiver');
+const { queue } = require('./jobQueue');
+const library = require('./library');
+const { startYoutubeToMidi, startMidiToMp4 } = require('./conversions');
+const { filePath, listPlaylist, removeFile } = require('./pipeline');
+
+// A batch fans a playlist or a list of links out into one youtube-to-midi job per
+// video (plus a mid-to-mp4 job each when tutorials are wanted), so every item
+// shares the queue's concurrency limit and lands in the library like a single
+// conversion would. Once every item has finished, the MIDIs (and MP4s) that
+// succeeded are zipped up.
+const MAX_BATCH_ITEMS = Number(process.env.MAX_BATCH_ITEMS) || 100;
+const BATCH_TTL_MS = 24 * 60 * 60 * 1000;
+
+const batches = new Map();
+
+function isPlaylistUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.searchParams.has('list') || parsed.pathname.startsWith('/playlist');
+    } catch {
+        return false;
+    }
+}
+
+// Names inside the ZIP follow download_yt.py: "uploader - title"
+function archiveName(item, used) {
+    const base = [item.uploader, item.title].filter(Boolean).join(' - ') || 'Untitled';
+    const safe = base.replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_').substring(0, 150);
+    let name = safe;
+    for (let i = 2; used.has(name); i++) name = `${safe} (${i})`;
+    used.add(name);
+    return name;
+}
+
+async function expandInputs(urls) {
+    const items = [];
+    for (const url of urls) {
+        const entries = isPlaylistUrl(url) ? await listPlaylist(url) : [{ url, title: null }];
+        items.push(...entries);
+    }
+    if (items.length === 0) throw new Error('No videos found');
+    if (items.length > MAX_BATCH_ITEMS) throw new Error(`Too many videos (max ${MAX_BATCH_ITEMS})`);
+    return items;
+}
+
+async function processItem(batch, item) {
+    const job = startYoutubeToMidi(item.url, batch.options);
+    item.jobId = job.id;
+    await job.finished;
+    item.state = job.state;
+    item.error = job.error;
+    if (job.state !== 'done') return;
+
+    const song = library.get(job.songId);
+    item.songId = job.songId;
+    item.title = song ? song.title : item.title;
+    item.uploader = song ? song.uploader : null;
+    item.midiPath = job.result.path;
+
+    if (!batch.tutorials) return;
+    const tutorial = startMidiToMp4(
+        { filename: `${item.title}.mid`, buffer: fs.readFileSync(item.midiPath) },
+        { songId: job.songId }
+    );
+    item.tutorialJobId = tutorial.id;
+    await tutorial.finished;
+    item.tutorialState = tutorial.state;
+    if (tutorial.state === 'done') item.mp4Path = tutorial.result.path;
+}
+
+function writeZip(batch) {
+    return new Promise((resolve, reject) => {
+        const zipPath = filePath(`${batch.id}.zip`);
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip');
+        const used = new Set();
+
+        output.on('close', () => resolve(zipPath));
+        archive.on('error', reject);
+        archive.pipe(output);
+
+        for (const item of batch.items) {
+            if (!item.midiPath) continue;
+            const name = archiveName(item, used);
+            if (fs.existsSync(item.midiPath)) archive.file(item.midiPath, { name: `${name}.mid` });
+            if (item.mp4Path && fs.existsSync(item.mp4Path)) archive.file(item.mp4Path, { name: `${name}.mp4` });
+        }
+        archive.finalize();
+    });
+}
+
+async function run(batch, urls) {
+    try {
+        const entries = await expandInputs(urls);
+        batch.items = entries.map(entry => ({
+            url: entry.url,
+            title: entry.title,
+            uploader: null,
+            state: 'queued',
+            error: null,
+            jobId: null,
+            songId: null,
+            tutorialJobId: null,
+            tutorialState: batch.tutorials ? 'queued' : null,
+            midiPath: null,
+            mp4Path: null,
+        }));
+        batch.state = 'running';
+        await Promise.all(batch.items.map(item => processItem(batch, item)));
+
+        if (!batch.items.some(item => item.midiPath)) throw new Error('Every item failed');
+        batch.state = 'zipping';
+        batch.zipPath = await writeZip(batch);
+        batch.state = 'done';
+    }
+    catch (err) {
+        console.error(`Batch ${batch.id} failed:`, err);
+        batch.state = 'failed';
+        batch.error = err.message || 'Batch failed';
+    }
+    batch.finishedAt = Date.now();
+    // The ZIP goes with the batch; the items' MIDIs and MP4s belong to their library entries
+    setTimeout(() => {
+        batches.delete(batch.id);
+        if (batch.zipPath) removeFile(batch.zipPath);
+    }, BATCH_TTL_MS).unref();
+}
+
+/**
+ * Start a batch for a list of video and/or playlist URLs.
+ * options are validated transcription options; tutorials also renders MP4s.
+ */
+function startBatch(urls, { options, tutorials = false } = {}) {
+    const batch = {
+        id: crypto.randomUUID(),
+        state: 'expanding',
+        error: null,
+        options,
+        tutorials,
+        items: [],
+        zipPath: null,
+        createdAt: Date.now(),
+        finishedAt: null,
+    };
+    batches.set(batch.id, batch);
+    run(batch, urls);
+    return batch;
+}
+
+function get(id) {
+    return batches.get(id) || null;
+}
+
+// Live state of the item's current job while it runs, the recorded outcome after
+function describeJob(jobId, recordedState) {
+    const job = jobId && queue.get(jobId);
+    if (job) return { state: job.state, progress: job.progress, error: job.error };
+    return { state: recordedState, progress: recordedState === 'done' ? 100 : 0, error: null };
+}
+
+// Public JSON view of a batch (never exposes server paths)
+function describe(batch) {
+    const items = batch.items.map(item => ({
+        url: item.url,
+        title: item.title,
+        uploader: item.uploader,
+        songId: item.songId,
+        ...describeJob(item.jobId, item.state),
+        error: item.error,
+        tutorial: batch.tutorials ? describeJob(item.tutorialJobId, item.tutorialState) : null,
+    }));
+    return {
+        id: batch.id,
+        state: batch.state,
+        error: batch.error,
+        tutorials: batch.tutorials,
+        total: items.length,
+        finished: batch.items.filter(item => item.state === 'done' || item.state === 'failed').length,
+        items,
+        hasZip: Boolean(batch.zipPath),
+        createdAt: batch.createdAt,
+        finishedAt: batch.finishedAt,
+    };
+}
+
+module.exports = { MAX_BATCH_ITEMS, startBatch, get, describe };
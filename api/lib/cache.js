@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FILES_DIR } = require('./pipeline');
+
+// Content-addressed cache for the url-to-mp3 → mp3-to-midi → mid-to-mp4 pipeline.
+// Every artifact lives in ./files/cache under a hash of its key; the index keeps
+// size and last use so the least recently used entries go first once the cache
+// outgrows CACHE_MAX_BYTES. Callers always get a copy out, never the cached file
+// itself, so eviction can't pull a file out from under a job or library entry.
+const CACHE_DIR = path.join(FILES_DIR, 'cache');
+const INDEX_PATH = path.join(CACHE_DIR, 'index.json');
+const MAX_BYTES = Number(process.env.CACHE_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+
+let index = null;
+
+function load() {
+    if (index) return index;
+    try {
+        index = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Failed to read cache index, starting empty:', err);
+        index = {};
+    }
+    return index;
+}
+
+function save() {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmpPath = `${INDEX_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+    fs.renameSync(tmpPath, INDEX_PATH);
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Same video, same key: youtube.com/watch?v=, youtu.be/, /shorts/, /embed/, music.youtube.com
+function youtubeVideoId(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const host = parsed.hostname.replace(/^(www|m|music)\./, '');
+    let id = null;
+    if (host === 'youtu.be') {
+        id = parsed.pathname.split('/')[1];
+    } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        id = parsed.searchParams.get('v')
+            || (parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/) || [])[1];
+    }
+    return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+// Stable key for a set of options: key order doesn't matter
+function optionsKey(options = {}) {
+    const sorted = Object.keys(options).sort().map(k => [k, options[k]]);
+    return sha256(JSON.stringify(sorted)).substring(0, 16);
+}
+
+// Cached artifact for key as { path, meta }, or null on a miss
+function get(key) {
+    const entry = load()[key];
+    if (!entry) return null;
+    const cachedPath = path.join(CACHE_DIR, entry.file);
+    if (!fs.existsSync(cachedPath)) {
+        delete index[key];
+        save();
+        return null;
+    }
+    entry.lastUsed = Date.now();
+    save();
+    return { path: cachedPath, meta: entry.meta };
+}
+
+// Copy a cached artifact to destPath; resolves to its meta, or null on a miss
+function restore(key, destPath) {
+    const hit = get(key);
+    if (!hit) return null;
+    fs.copyFileSync(hit.path, destPath);
+    return hit.meta || {};
+}
+
+// Store a copy of srcPath under key (meta is any JSON worth keeping with it)
+function put(key, srcPath, meta = {}) {
+    try {
+        load();
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        const file = sha256(key) + path.extname(srcPath);
+        fs.copyFileSync(srcPath, path.join(CACHE_DIR, file));
+        index[key] = { file, size: fs.statSync(srcPath).size, meta, lastUsed: Date.now() };
+        evict();
+        save();
+    } catch (err) {
+        // A cache that can't write is just a slower pipeline
+        console.warn('Failed to cache', key, err);
+    }
+}
+
+// Drop least recently used entries until the cache fits in MAX_BYTES
+function evict() {
+    const entries = Object.entries(index).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    let total = entries.reduce((sum, [, entry]) => sum + entry.size, 0);
+    for (const [key, entry] of entries) {
+        if (total <= MAX_BYTES) break;
+        removeEntry(key);
+        total -= entry.size;
+    }
+}
+
+function removeEntry(key) {
+    const entry = index[key];
+    delete index[key];
+    try {
+        fs.unlinkSync(path.join(CACHE_DIR, entry.file));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('Failed to remove cached file:', entry.file, err);
+    }
+}
+
+function stats() {
+    const entries = Object.values(load());
+    return {
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        maxBytes: MAX_BYTES,
+    };
+}
+
+// Remove every entry whose key starts with prefix (all of them by default)
+function purge(prefix = '') {
+    load();
+    const keys = Object.keys(index).filter(key => key.startsWith(prefix));
+    keys.forEach(removeEntry);
+    save();
+    return keys.length;
+}
+
+module.exports = { sha256, youtubeVideoId, optionsKey, get, restore, put, stats, purge };
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { queue } = require('./jobQueue');
+const library = require('./library');
+const cache = require('./cache');
+const { normalizeAudio } = require('./audio');
+const { cleanupArgs } = require('./transcriptionOptions');
+const { parseTutorialOptions } = require('./tutorialOptions');
+const { AUDIO_FORMATS } = require('./audioOptions');
+const { defaultSoundfont } = require('./midiAudio');
+const {
+    SEPARATION_MODES,
+    filePath,
+    replaceExtension,
+    downloadAudio,
+    separateSources,
+    transcribe,
+    trackBeats,
+    cleanupMidi,
+    renderTutorial,
+    renderAudio,
+    engraveScore,
+    removeFile,
+} = require('./pipeline');
+
+// Each start* function queues a conversion and returns the job immediately.
+// Uploaded files are stored under a random name so user-supplied filenames
+// never touch the filesystem; the original name is only used for the download.
+// Transcriptions are added to the song library; job.songId points at the entry.
+//
+// Every step is looked up in the cache first. Audio is keyed by YouTube video ID
+// (or the SHA-256 of an upload), separation stems by that plus the separation
+// mode, MIDI by that plus the transcription options, MP4s and rendered audio by
+// the SHA-256 of the MIDI plus their options and SoundFont (PDFs by the SHA-256
+// of their MusicXML). A full hit skips the queue entirely.
+
+// "My Song.mp3" -> "My Song"
+function titleFromFilename(filename) {
+    return replaceExtension(filename, '');
+}
+
+function midiCacheKey(audioKey, options) {
+    return `midi:${audioKey}:${cache.optionsKey(options)}`;
+}
+
+function stemCacheKey(audioKey, mode, stem) {
+    return `stems:${audioKey}:${mode}:${stem}`;
+}
+
+// Separation, beat tracking and cleaning are stages of their own, shown only
+// when the options ask for them
+function transcriptionStages(options) {
+    const stages = ['transcribing'];
+    if (options.separation !== 'off') stages.unshift('separating');
+    if (options.beat_tracking) stages.push('tracking');
+    if (cleanupArgs(options).length) stages.push('cleaning');
+    return stages;
+}
+
+// The separation stems as { stem: name inside ./files }
+function stemFileNames(fileName, mode) {
+    return Object.fromEntries(SEPARATION_MODES[mode].stems.map(stem => [stem, `${fileName}.${stem}.mp3`]));
+}
+
+function removeStems(fileName, mode) {
+    if (mode === 'off') return;
+    Object.values(stemFileNames(fileName, mode)).forEach(file => removeFile(filePath(file)));
+}
+
+// Stems of this audio from the cache, or null unless every one of them is there
+function restoreStems(fileName, mode, audioKey) {
+    if (mode === 'off' || !audioKey) return null;
+    const stemFiles = stemFileNames(fileName, mode);
+    const restored = Object.entries(stemFiles)
+        .every(([stem, file]) => cache.restore(stemCacheKey(audioKey, mode, stem), filePath(file)));
+    if (restored) return stemFiles;
+    removeStems(fileName, mode);
+    return null;
+}
+
+// Source separation of ./files/<fileName>.mp3 (if the options ask for it),
+// basic-pitch on it or the stem worth transcribing, then beat tracking (on the
+// full mix) and the cleanup pass (which quantizes against the tracked beat) if
+// the options ask for them. Resolves to the stem files, or null.
+async function runTranscription(job, fileName, options, audioKey) {
+    let stemFiles = null;
+    let audioName = fileName;
+    if (job.stages.includes('separating')) {
+        const mode = options.separation;
+        job.setState('separating');
+        stemFiles = restoreStems(fileName, mode, audioKey);
+        if (!stemFiles) {
+            await separateSources(fileName, mode, job.setProgress);
+            stemFiles = stemFileNames(fileName, mode);
+            if (audioKey) {
+                for (const [stem, file] of Object.entries(stemFiles)) {
+                    cache.put(stemCacheKey(audioKey, mode, stem), filePath(file));
+                }
+            }
+        }
+        audioName = `${fileName}.${SEPARATION_MODES[mode].transcribe}`;
+    }
+
+    job.setState('transcribing');
+    await transcribe(fileName, { ...options, audioName }, job.setProgress);
+    if (job.stages.includes('tracking')) {
+        job.setState('tracking');
+        await trackBeats(fileName);
+    }
+    if (job.stages.includes('cleaning')) {
+        job.setState('cleaning');
+        await cleanupMidi(fileName, options);
+    }
+    return stemFiles;
+}
+
+// options: validated transcription options (see transcriptionOptions.js)
+// The downloaded MP3 stays with the song (audioFile) for playback next to the
+// transcription; it is only removed if the job fails.
+function startYoutubeToMidi(url, options) {
+    const stages = ['downloading', ...transcriptionStages(options)];
+    const videoId = cache.youtubeVideoId(url);
+    const audioKey = videoId && `yt:${videoId}`;
+    const fileName = crypto.randomUUID();
+    const midPath = filePath(`${fileName}.mid`);
+    const mp3Path = filePath(`${fileName}.mp3`);
+    const result = { path: midPath, filename: `${fileName}.mid`, contentType: 'audio/midi' };
+
+    const cachedMidi = audioKey && cache.restore(midiCacheKey(audioKey, options), midPath);
+    if (cachedMidi) {
+        const audioFile = cache.restore(`audio:${audioKey}`, mp3Path) ? `${fileName}.mp3` : null;
+        const stemFiles = restoreStems(fileName, options.separation, audioKey);
+        const songId = library.add(`${fileName}.mid`, { ...cachedMidi.info, transcription: options, audioFile, stemFiles }).id;
+        return queue.addDone('youtube-to-midi', result, { stages, songId });
+    }
+
+    return queue.add('youtube-to-midi', async (job) => {
+        try {
+            job.setState('downloading');
+            let info;
+            const cachedAudio = audioKey && cache.restore(`audio:${audioKey}`, mp3Path);
+            if (cachedAudio) {
+                info = cachedAudio.info;
+            } else {
+                ({ info } = await downloadAudio(url, fileName, job.setProgress));
+                if (audioKey) cache.put(`audio:${audioKey}`, mp3Path, { info });
+            }
+
+            const stemFiles = await runTranscription(job, fileName, options, audioKey);
+            if (audioKey) cache.put(midiCacheKey(audioKey, options), midPath, { info });
+            job.songId = library.add(`${fileName}.mid`, {
+                ...info,
+                transcription: options,
+                audioFile: `${fileName}.mp3`,
+                stemFiles,
+            }).id;
+
+            return result;
+        }
+        catch (err) {
+            removeFile(mp3Path);
+            removeStems(fileName, options.separation);
+            throw err;
+        }
+    }, { stages });
+}
+
+// audioType is the sniffed format (see audio.js); anything but MP3 is first
+// converted with ffmpeg, since mp3-to-midi.sh reads ./files/<name>.mp3.
+// The upload itself is kept as the song's audioFile, in its own format.
+function startAudioToMidi(upload, audioType, options) {
+    const stages = audioType === 'mp3' ? transcriptionStages(options) : ['converting', ...transcriptionStages(options)];
+    const audioKey = `sha256:${cache.sha256(upload.buffer)}`;
+    const fileName = crypto.randomUUID();
+    const info = { title: titleFromFilename(upload.filename), transcription: options, audioFile: `${fileName}.${audioType}` };
+    const midPath = filePath(`${fileName}.mid`);
+    const mp3Path = filePath(`${fileName}.mp3`);
+    const inputPath = filePath(`${fileName}.${audioType}`);
+    const result = { path: midPath, filename: replaceExtension(upload.filename, '.mid'), contentType: 'audio/midi' };
+
+    if (cache.restore(midiCacheKey(audioKey, options), midPath)) {
+        fs.writeFileSync(inputPath, upload.buffer);
+        const stemFiles = restoreStems(fileName, options.separation, audioKey);
+        const songId = library.add(`${fileName}.mid`, { ...info, stemFiles }).id;
+        return queue.addDone('mp3-to-mid', result, { stages, songId });
+    }
+
+    fs.writeFileSync(inputPath, upload.buffer);
+
+    return queue.add('mp3-to-mid', async (job) => {
+        try {
+            if (audioType !== 'mp3') {
+                job.setState('converting');
+                try {
+                    await normalizeAudio(`./files/${fileName}.${audioType}`, `./files/${fileName}.mp3`, job.setProgress);
+                } catch (err) {
+                    console.error(err.stderr || err);
+                    throw new Error(`Failed to read the ${audioType.toUpperCase()} file`);
+                }
+            }
+
+            const stemFiles = await runTranscription(job, fileName, options, audioKey);
+            cache.put(midiCacheKey(audioKey, options), midPath);
+            job.songId = library.add(`${fileName}.mid`, { ...info, stemFiles }).id;
+            return result;
+        }
+        catch (err) {
+            removeFile(inputPath);
+            removeStems(fileName, options.separation);
+            throw err;
+        }
+        finally {
+            // The MP3 made for basic-pitch is only kept when it is the upload
+            if (audioType !== 'mp3') removeFile(mp3Path);
+        }
+    }, { stages });
+}
+
+// songId (optional) attaches the finished tutorial to that library entry;
+// options: validated tutorial options (see tutorialOptions.js), defaults if omitted
+function startMidiToMp4(upload, { songId, options = parseTutorialOptions().options } = {}) {
+    const stages = ['rendering'];
+    // The soundtrack depends on the SoundFont too (see midiAudio.js)
+    const soundfont = defaultSoundfont() || 'timidity';
+    const mp4Key = `mp4:${cache.sha256(upload.buffer)}:${cache.optionsKey(options)}:${soundfont}`;
+    const fileName = crypto.randomUUID();
+    const mp4Path = filePath(`${fileName}.mp4`);
+    const result = { path: mp4Path, filename: replaceExtension(upload.filename, '.mp4'), contentType: 'video/mp4' };
+
+    const attachToSong = () => {
+        const song = songId && library.get(songId);
+        if (!song) return null;
+        if (song.mp4File) removeFile(filePath(song.mp4File));
+        library.update(songId, { mp4File: `${fileName}.mp4` });
+        return songId;
+    };
+
+    if (cache.restore(mp4Key, mp4Path)) {
+        return queue.addDone('mid-to-mp4', result, { stages, songId: attachToSong() });
+    }
+
+    fs.writeFileSync(filePath(`${fileName}.mid`), upload.buffer);
+
+    return queue.add('mid-to-mp4', async (job) => {
+        try {
+            job.setState('rendering');
+            await renderTutorial(fileName, options, job.setProgress);
+            cache.put(mp4Key, mp4Path);
+            job.songId = attachToSong();
+            return result;
+        }
+        finally {
+            removeFile(filePath(`${fileName}.mid`));
+        }
+    }, { stages });
+}
+
+// The MIDI played by a SoundFont (see midiAudio.js)
+// options: validated audio options (see audioOptions.js)
+function startMidiToAudio(upload, options) {
+    const stages = ['synthesizing'];
+    const audioKey = `render:${cache.sha256(upload.buffer)}:${cache.optionsKey(options)}`;
+    const fileName = crypto.randomUUID();
+    const audioPath = filePath(`${fileName}.${options.format}`);
+    const result = {
+        path: audioPath,
+        filename: replaceExtension(upload.filename, `.${options.format}`),
+        contentType: AUDIO_FORMATS[options.format],
+    };
+
+    if (cache.restore(audioKey, audioPath)) {
+        return queue.addDone('mid-to-audio', result, { stages });
+    }
+
+    const midPath = filePath(`${fileName}.mid`);
+    fs.writeFileSync(midPath, upload.buffer);
+
+    return queue.add('mid-to-audio', async (job) => {
+        try {
+            job.setState('synthesizing');
+            await renderAudio(fileName, options, job.setProgress);
+            cache.put(audioKey, audioPath);
+            return result;
+        }
+        finally {
+            removeFile(midPath);
+        }
+    }, { stages });
+}
+
+// MusicXML written by the score view (web/src/musicxml.js) → print-ready PDF
+function startMusicXmlToPdf(upload) {
+    const stages = ['engraving'];
+    const pdfKey = `pdf:${cache.sha256(upload.buffer)}`;
+    const fileName = crypto.randomUUID();
+    const pdfPath = filePath(`${fileName}.pdf`);
+    const result = { path: pdfPath, filename: replaceExtension(upload.filename, '.pdf'), contentType: 'application/pdf' };
+
+    if (cache.restore(pdfKey, pdfPath)) {
+        return queue.addDone('musicxml-to-pdf', result, { stages });
+    }
+
+    const xmlPath = filePath(`${fileName}.musicxml`);
+    fs.writeFileSync(xmlPath, upload.buffer);
+
+    return queue.add('musicxml-to-pdf', async (job) => {
+        try {
+            job.setState('engraving');
+            await engraveScore(fileName);
+            cache.put(pdfKey, pdfPath);
+            return result;
+        }
+        finally {
+            removeFile(xmlPath);
+        }
+    }, { stages });
+}
+
+module.exports = { startYoutubeToMidi, startAudioToMidi, startMidiToMp4, startMidiToAudio, startMusicXmlToPdf };
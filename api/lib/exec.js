@@ -0,0 +1,61 @@
+const { exec, spawn } = require('child_process');
+const path = require('path');
+
+// All scripts and relative ./files paths are resolved from the api directory
+const API_ROOT = path.join(__dirname, '..');
+
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        exec(command, { cwd: API_ROOT }, (error, stdout, stderr) => {
+            if (error) {
+                reject({ error, stderr });
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+// Like executeCommand, but without a shell (arguments are passed as-is, so user
+// input such as URLs cannot inject commands) and with line-by-line output.
+// onLine is called for every stdout/stderr line; tools like yt-dlp and ffmpeg
+// redraw their progress with \r, so carriage returns also end a line.
+function runCommand(command, args, { onLine } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd: API_ROOT });
+        let stdout = '';
+        let stderr = '';
+
+        const lineReader = () => {
+            let pending = '';
+            return (chunk) => {
+                pending += chunk.toString();
+                const lines = pending.split(/[\r\n]+/);
+                pending = lines.pop();
+                if (onLine) lines.filter(Boolean).forEach(onLine);
+            };
+        };
+        const onStdout = lineReader();
+        const onStderr = lineReader();
+
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk;
+            onStdout(chunk);
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+            onStderr(chunk);
+        });
+
+        child.on('error', (error) => reject({ error, stderr }));
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve({ stdout, stderr });
+            } else {
+                reject({ error: new Error(`${command} exited with code ${code}`), stderr });
+            }
+        });
+    });
+}
+
+module.exports = { API_ROOT, executeCommand, runCommand };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Every job moves through a subset of these, always ending in done or failed
+const JOB_STATES = ['queued', 'downloading', 'converting', 'separating', 'transcribing', 'tracking', 'cleaning', 'rendering', 'synthesizing', 'engraving', 'done', 'failed'];
+
+// Finished jobs are forgotten after this long (their files stay in ./files)
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory FIFO job queue with a bounded number of jobs running at once.
+ *
+ * A job's run function receives the job and reports through job.setState() /
+ * job.setProgress(); it resolves to the artifact { path, filename, contentType }
+ * that GET /jobs/:id/result streams back.
+ *
+ * Emits 'update' with the job's public view whenever a job changes; that is what
+ * GET /jobs/:id/events streams to the browser.
+ */
+class JobQueue extends EventEmitter {
+    constructor({ concurrency = 2 } = {}) {
+        super();
+        this.setMaxListeners(0); // one listener per open progress stream
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    // stages: the states this job will pass through, so clients can draw every step up front
+    add(type, run, { stages = [] } = {}) {
+        const job = this.create(type, stages);
+        this.pending.push({ job, run });
+        this.emit('update', this.describe(job));
+        this.next();
+        return job;
+    }
+
+    // A job that is finished the moment it exists (e.g. a cache hit): it never
+    // waits for a free slot, but clients still follow it like any other job.
+    addDone(type, result, { stages = [], songId = null } = {}) {
+        const job = this.create(type, stages);
+        Object.assign(job, { result, songId, cached: true });
+        this.finish(job, 'done');
+        return job;
+    }
+
+    create(type, stages) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            stages: ['queued', ...stages, 'done'],
+            state: 'queued',
+            progress: 0,
+            error: null,
+            result: null,
+            songId: null,
+            cached: false,
+            createdAt: Date.now(),
+            finishedAt: null,
+        };
+        job.setState = (state) => {
+            if (!JOB_STATES.includes(state)) throw new Error(`Unknown job state: ${state}`);
+            job.state = state;
+            job.progress = 0;
+            this.emit('update', this.describe(job));
+        };
+        job.setProgress = (percent) => {
+            const clamped = Math.max(0, Math.min(100, Math.round(percent)));
+            if (clamped === job.progress) return;
+            job.progress = clamped;
+            this.emit('update', this.describe(job));
+        };
+        job.finished = new Promise((resolve) => { job.resolveFinished = resolve; });
+
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Public JSON view of a job (never exposes server paths)
+    describe(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            stages: job.stages,
+            state: job.state,
+            progress: job.progress,
+            error: job.error,
+            songId: job.songId,
+            cached: job.cached,
+            position: job.state === 'queued' ? this.pending.findIndex(p => p.job === job) + 1 : 0,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+        };
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { job, run } = this.pending.shift();
+            this.running++;
+            this.execute(job, run).finally(() => {
+                this.running--;
+                this.next();
+            });
+        }
+    }
+
+    async execute(job, run) {
+        try {
+            job.result = await run(job);
+            this.finish(job, 'done');
+        }
+        catch (err) {
+            console.error(`Job ${job.id} (${job.type}) failed:`, err);
+            job.error = (err && err.message) || (err && err.error && err.error.message) || 'Job failed';
+            this.finish(job, 'failed');
+        }
+    }
+
+    finish(job, state) {
+        job.state = state;
+        if (state === 'done') job.progress = 100;
+        job.finishedAt = Date.now();
+        this.emit('update', this.describe(job));
+        job.resolveFinished(job);
+
+        setTimeout(() => this.jobs.delete(job.id), JOB_TTL_MS).unref();
+    }
+}
+
+const queue = new JobQueue({
+    concurrency: Number(process.env.MAX_CONCURRENT_JOBS) || 2,
+});
+
+module.exports = { JOB_STATES, JobQueue, queue };
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Midi } = require('@tonejs/midi');
+const { FILES_DIR, filePath, removeFile } = require('./pipeline');
+
+// The song library is a single JSON index next to the files it points at.
+// Entries only store file names (relative to ./files), never absolute paths.
+const LIBRARY_PATH = path.join(FILES_DIR, 'library.json');
+
+// Fields PATCH /library/:id may change. handOverrides maps "<start>:<pitch>"
+// (start in seconds, 3 decimals) to "L" or "R" for notes whose hand the user fixed.
+const EDITABLE_FIELDS = ['title', 'handOverrides'];
+
+let songs = null;
+
+function load() {
+    if (songs) return songs;
+    try {
+        songs = JSON.parse(fs.readFileSync(LIBRARY_PATH, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Failed to read song library, starting empty:', err);
+        songs = [];
+    }
+    return songs;
+}
+
+function save() {
+    // Write then rename so a crash never leaves a half-written index behind
+    const tmpPath = `${LIBRARY_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(songs, null, 2));
+    fs.renameSync(tmpPath, LIBRARY_PATH);
+}
+
+// Duration, note count and tempo as @tonejs/midi sees them
+function analyzeMidi(midPath) {
+    const midi = new Midi(fs.readFileSync(midPath));
+    return {
+        duration: midi.duration,
+        noteCount: midi.tracks.reduce((sum, track) => sum + track.notes.length, 0),
+        tempo: midi.header.tempos[0] ? Math.round(midi.header.tempos[0].bpm) : null,
+    };
+}
+
+function list({ q } = {}) {
+    const needle = (q || '').trim().toLowerCase();
+    return load()
+        .filter(song => !needle || [song.title, song.uploader, song.sourceUrl]
+            .some(field => field && field.toLowerCase().includes(needle)))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function get(id) {
+    return load().find(song => song.id === id) || null;
+}
+
+/**
+ * Add a transcribed song. midiFile is a name inside ./files; details may carry
+ * title, uploader, sourceUrl and duration (e.g. from yt-dlp's info JSON) and the
+ * transcription options the MIDI was made with, audioFile (a name inside
+ * ./files) for the source audio the MIDI was transcribed from, and stemFiles
+ * ({ stem: name inside ./files }) when that audio was separated first.
+ */
+function add(midiFile, details = {}) {
+    const stats = analyzeMidi(filePath(midiFile));
+    const now = Date.now();
+    const song = {
+        id: crypto.randomUUID(),
+        title: details.title || 'Untitled',
+        uploader: details.uploader || null,
+        sourceUrl: details.sourceUrl || null,
+        duration: details.duration || stats.duration,
+        noteCount: stats.noteCount,
+        tempo: stats.tempo,
+        transcription: details.transcription || null,
+        handOverrides: null,
+        midiFile,
+        mp4File: null,
+        audioFile: details.audioFile || null,
+        stemFiles: details.stemFiles || null,
+        createdAt: now,
+        updatedAt: now,
+    };
+    load().push(song);
+    save();
+    return song;
+}
+
+function update(id, changes) {
+    const song = get(id);
+    if (!song) return null;
+    Object.assign(song, changes, { updatedAt: Date.now() });
+    save();
+    return song;
+}
+
+// Remove the entry together with every file it owns
+function remove(id) {
+    const song = get(id);
+    if (!song) return null;
+    songs = songs.filter(s => s !== song);
+    save();
+    for (const file of [song.midiFile, song.mp4File, song.audioFile, ...Object.values(song.stemFiles || {})]) {
+        if (file) removeFile(filePath(file));
+    }
+    return song;
+}
+
+module.exports = { EDITABLE_FIELDS, analyzeMidi, list, get, add, update, remove };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { Midi } = require('@tonejs/midi');
+const { API_ROOT, runCommand } = require('./exec');
+const { loadWebModules } = require('./webModules');
+
+// MIDI rendered to audio by FluidSynth with a SoundFont (or by timidity with its
+// own patches when no SoundFont is installed), then loudness-normalized and
+// encoded by ffmpeg. Sustain follows the web app rather than the SoundFont:
+// notes are held to their pedal-aware end (extendNotesWithPedal in midiUtils.js)
+// and the CC64 events dropped, so the pedal isn't applied twice. Percussion
+// (channel 10) is rendered unless options.percussion is false, which is how the
+// tutorial video matches the Visualizer muting it.
+
+// SoundFonts are the .sf2 files in here, named without the extension (see
+// api/soundfonts/README.md)
+const SOUNDFONT_DIR = process.env.SOUNDFONT_DIR || path.join(API_ROOT, 'soundfonts');
+const SAMPLE_RATE = 44100;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2 * 2; // the synthesizers' 16-bit stereo WAV
+// Share of the progress the synthesizer gets; ffmpeg reports the rest
+const SYNTH_PROGRESS = 80;
+
+const ENCODER_ARGS = {
+    wav: ['-c:a', 'pcm_s16le'],
+    mp3: ['-c:a', 'libmp3lame', '-q:a', '2'],
+    ogg: ['-c:a', 'libvorbis', '-q:a', '5'],
+};
+
+function listSoundfonts() {
+    try {
+        return fs.readdirSync(SOUNDFONT_DIR)
+            .filter(name => /\.sf2$/i.test(name))
+            .map(name => name.replace(/\.sf2$/i, ''))
+            .sort();
+    } catch {
+        return [];
+    }
+}
+
+// SOUNDFONT names the default, otherwise the first one installed (null if none:
+// rendering then falls back to timidity)
+function defaultSoundfont() {
+    const names = listSoundfonts();
+    return names.includes(process.env.SOUNDFONT) ? process.env.SOUNDFONT : (names[0] || null);
+}
+
+function soundfontPath(name) {
+    const file = fs.readdirSync(SOUNDFONT_DIR).find(f => f.replace(/\.sf2$/i, '') === name);
+    return path.join(SOUNDFONT_DIR, file);
+}
+
+// The MIDI again, with the sustain pedal baked into the note lengths (drums are
+// left as they are). Resolves to { buffer, duration } in seconds.
+async function sustainedMidi(buffer, percussion) {
+    const web = await loadWebModules();
+    const midiData = new Midi(buffer);
+    const pedalWins = web.buildPedalWindows(web.midiPedals(midiData));
+    const notes = web.extendNotesWithPedal(web.midiNotes(midiData), pedalWins)
+        .filter(n => percussion || !n.percussion)
+        .map(n => ({ ...n, end: n.percussion ? n.end : n.audibleEnd }));
+    midiData.tracks.forEach(tr => { delete tr.controlChanges[64]; });
+    return {
+        buffer: Buffer.from(web.writeMidi(midiData, notes)),
+        duration: notes.reduce((last, n) => Math.max(last, n.end), 0),
+    };
+}
+
+// "00:03:12.34" -> 192.34
+function parseTimestamp(text) {
+    const [h, m, s] = text.split(':').map(parseFloat);
+    return h * 3600 + m * 60 + s;
+}
+
+// fluidsynth and timidity print nothing while rendering, but the WAV they write
+// grows at a steady rate: its size against the expected one is the progress.
+// Returns a function that stops watching.
+function watchGrowth(filePath, expectedBytes, onFraction) {
+    const timer = setInterval(() => {
+        fs.stat(filePath, (err, stats) => {
+            if (!err) onFraction(Math.min(1, stats.size / expectedBytes));
+        });
+    }, 500);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Render midPath as audio at outPath (both relative to the api directory).
+ * options: validated audio options (see audioOptions.js)
+ */
+async function renderMidiAudio(midPath, outPath, options, onProgress = () => {}) {
+    const base = outPath.replace(/\.\w+$/, '');
+    const sustainedPath = `${base}.sustained.mid`;
+    const synthPath = `${base}.synth.wav`;
+    try {
+        const midi = await sustainedMidi(fs.readFileSync(path.resolve(API_ROOT, midPath)), options.percussion);
+        fs.writeFileSync(path.resolve(API_ROOT, sustainedPath), midi.buffer);
+
+        // Both synthesizers let the last notes ring out for a moment
+        const stopWatching = watchGrowth(path.resolve(API_ROOT, synthPath), (midi.duration + 1) * BYTES_PER_SECOND,
+            (fraction) => onProgress(fraction * SYNTH_PROGRESS));
+        try {
+            if (options.soundfont) {
+                await runCommand('fluidsynth', [
+                    '-ni', '-q', '-r', String(SAMPLE_RATE), '-T', 'wav', '-F', synthPath,
+                    soundfontPath(options.soundfont), sustainedPath,
+                ]);
+            } else {
+                await runCommand('timidity', ['-Ow', '-s', String(SAMPLE_RATE), '-o', synthPath, sustainedPath]);
+            }
+        } finally {
+            stopWatching();
+        }
+        onProgress(SYNTH_PROGRESS);
+
+        await runCommand('ffmpeg', [
+            '-y', '-hide_banner',
+            '-i', synthPath,
+            // loudnorm upsamples internally, hence -ar
+            ...(options.normalize ? ['-af', `loudnorm=I=${options.loudness}:TP=-1.5:LRA=11`] : []),
+            '-ar', String(SAMPLE_RATE),
+            ...ENCODER_ARGS[options.format],
+            '-progress', 'pipe:1',
+            outPath,
+        ], {
+            onLine: (line) => {
+                // -progress output: out_time=00:01:05.120000
+                const done = line.match(/^out_time=(\d+:\d+:[\d.]+)/);
+                if (done && midi.duration > 0) {
+                    const fraction = Math.min(1, parseTimestamp(done[1]) / midi.duration);
+                    onProgress(SYNTH_PROGRESS + fraction * (100 - SYNTH_PROGRESS));
+                }
+            },
+        });
+        onProgress(100);
+    } finally {
+        fs.rmSync(path.resolve(API_ROOT, sustainedPath), { force: true });
+        fs.rmSync(path.resolve(API_ROOT, synthPath), { force: true });
+    }
+}
+
+module.exports = { SOUNDFONT_DIR, listSoundfonts, defaultSoundfont, soundfontPath, renderMidiAudio };
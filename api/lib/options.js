@@ -0,0 +1,53 @@
+// Request settings described by a spec per option (see transcriptionOptions.js,
+// tutorialOptions.js and audioOptions.js):
+//   { type: 'number', integer?, min, max, default }
+//   { type: 'boolean', default }
+//   { type: 'string', values: [...], default }
+// Other fields of a spec (command line flags and such) are left to the caller.
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (['true', '1', 'on', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'off', 'no'].includes(String(value).toLowerCase())) return false;
+    return undefined;
+}
+
+/**
+ * Check input against specs. Unknown keys are ignored, missing ones get the
+ * default. Returns { options, errors } with errors an array of messages, so
+ * callers can add checks that span several options before reporting.
+ */
+function parseOptions(specs, input = {}) {
+    const options = {};
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(specs)) {
+        const raw = input[name];
+        if (raw === undefined || raw === null || raw === '') {
+            options[name] = spec.default;
+            continue;
+        }
+        if (spec.type === 'boolean') {
+            const value = parseBoolean(raw);
+            if (value === undefined) errors.push(`${name} must be true or false`);
+            options[name] = value;
+            continue;
+        }
+        if (spec.type === 'string') {
+            if (!spec.values.includes(raw)) errors.push(`${name} must be one of ${spec.values.join(', ')}`);
+            options[name] = raw;
+            continue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+            errors.push(`${name} must be a number between ${spec.min} and ${spec.max}`);
+        } else if (spec.integer && !Number.isInteger(value)) {
+            errors.push(`${name} must be a whole number`);
+        }
+        options[name] = value;
+    }
+
+    return { options, errors };
+}
+
+module.exports = { parseOptions };
@@ -0,0 +1,268 @@
+const path = require('path');
+const fs = require('fs');
+const { runCommand } = require('./exec');
+const { basicPitchArgs, cleanupArgs } = require('./transcriptionOptions');
+const { renderTutorialVideo } = require('./tutorialRenderer');
+const { renderMidiAudio, defaultSoundfont, soundfontPath } = require('./midiAudio');
+
+const FILES_DIR = path.join(__dirname, '../files');
+
+// Tutorials are drawn by our own piano roll (tutorialRenderer.js);
+// TUTORIAL_RENDERER=midivisualizer goes back to export-mp4.sh, which ignores the options
+const TUTORIAL_RENDERER = process.env.TUTORIAL_RENDERER || 'canvas';
+
+// Milestones basic-pitch (and mp3-to-midi.sh) print along the way. basic-pitch
+// has no real progress output, so these are the best we can report.
+const TRANSCRIBE_MILESTONES = [
+    [/^Running: basic-pitch/, 5],
+    [/Predicting MIDI/i, 20],
+    [/Creating midi/i, 85],
+    [/Saved to/i, 95],
+];
+
+// Stems separate.sh writes per separation option (see transcriptionOptions.js),
+// and the one basic-pitch transcribes
+const SEPARATION_MODES = {
+    instrumental: { stems: ['no_vocals', 'vocals'], transcribe: 'no_vocals' },
+    piano: { stems: ['piano', 'vocals', 'drums', 'bass', 'guitar', 'other'], transcribe: 'piano' },
+};
+
+function filePath(name) {
+    return path.join(FILES_DIR, name);
+}
+
+// "My Song.mp3" -> "My Song.mid"
+function replaceExtension(filename, ext) {
+    const base = path.basename(filename || 'output');
+    const dot = base.lastIndexOf('.');
+    return (dot > 0 ? base.substring(0, dot) : base) + ext;
+}
+
+// Only web links go to yt-dlp: no local paths, other schemes or option-like values
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+function failure(message, err) {
+    const error = new Error(message);
+    error.cause = err;
+    if (err && err.stderr) console.error(err.stderr);
+    return error;
+}
+
+// yt-dlp → ./files/<fileName>.mp3
+// Resolves to { mp3Path, info } where info holds the video's title, uploader,
+// duration and canonical URL as reported by yt-dlp.
+async function downloadAudio(url, fileName, onProgress = () => {}) {
+    try {
+        await runCommand('yt-dlp', [
+            '-x', '--audio-format', 'mp3',
+            '--newline',
+            '--no-playlist',
+            '--write-info-json',
+            '-o', `./files/${fileName}.%(ext)s`,
+            // the URL is user input: never let it be read as an option
+            '--', url,
+        ], {
+            onLine: (line) => {
+                // [download]  42.3% of    3.45MiB at  1.21MiB/s ETA 00:02
+                const match = line.match(/^\[download\]\s+([\d.]+)%/);
+                if (match) onProgress(parseFloat(match[1]));
+            },
+        });
+    } catch (err) {
+        throw failure('Failed to download audio', err);
+    }
+    const mp3Path = filePath(`${fileName}.mp3`);
+    if (!fs.existsSync(mp3Path)) throw new Error('Audio not produced');
+    return { mp3Path, info: readVideoInfo(fileName, url) };
+}
+
+// Pick what we keep from yt-dlp's ./files/<fileName>.info.json, then delete it
+function readVideoInfo(fileName, url) {
+    const infoPath = filePath(`${fileName}.info.json`);
+    try {
+        const info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+        return {
+            title: info.title || null,
+            uploader: info.uploader || info.channel || null,
+            duration: info.duration || null,
+            sourceUrl: info.webpage_url || url,
+        };
+    } catch (err) {
+        console.warn('No video info from yt-dlp:', err.message);
+        return { sourceUrl: url };
+    } finally {
+        removeFile(infoPath);
+    }
+}
+
+// Videos of a playlist URL as [{ url, title }], without downloading anything
+async function listPlaylist(url) {
+    let stdout;
+    try {
+        ({ stdout } = await runCommand('yt-dlp', ['--flat-playlist', '--yes-playlist', '-J', '--', url]));
+    } catch (err) {
+        throw failure('Failed to read the playlist', err);
+    }
+    const playlist = JSON.parse(stdout);
+    if (playlist._type !== 'playlist') {
+        return [{ url: playlist.webpage_url || url, title: playlist.title || null }];
+    }
+    return (playlist.entries || [])
+        .filter(entry => entry && (entry.url || entry.id))
+        .map(entry => ({
+            url: entry.url || `https://www.youtube.com/watch?v=${entry.id}`,
+            title: entry.title || null,
+        }));
+}
+
+// ./files/<fileName>.mp3 → ./files/<fileName>.<stem>.mp3 for every stem of
+// the separation mode (see SEPARATION_MODES)
+async function separateSources(fileName, mode, onProgress = () => {}) {
+    try {
+        await runCommand('bash', ['./separate.sh', `./files/${fileName}.mp3`, `./files/${fileName}`, mode], {
+            onLine: (line) => {
+                //  42%|████▏     | 98.3/234.0 [00:41<00:57,  2.37seconds/s]
+                const match = line.match(/^\s*(\d+)%\|/);
+                if (match) onProgress(+match[1]);
+            },
+        });
+    } catch (err) {
+        throw failure('Failed to separate the audio', err);
+    }
+    const stemPaths = SEPARATION_MODES[mode].stems.map(stem => filePath(`${fileName}.${stem}.mp3`));
+    if (!stemPaths.every(p => fs.existsSync(p))) throw new Error('Stems not produced');
+    return stemPaths;
+}
+
+// ./files/<audioName>.mp3 → ./files/<fileName>.mid
+// options are validated transcription options (see transcriptionOptions.js),
+// plus audioName: a stem such as <fileName>.piano when the audio was separated
+// first (default fileName)
+async function transcribe(fileName, options = {}, onProgress = () => {}) {
+    const audioName = options.audioName ?? fileName;
+    try {
+        await runCommand('bash', ['./mp3-to-midi.sh', `./files/${audioName}.mid`, ...basicPitchArgs(options)], {
+            onLine: (line) => {
+                for (const [pattern, percent] of TRANSCRIBE_MILESTONES) {
+                    if (pattern.test(line)) onProgress(percent);
+                }
+            },
+        });
+    } catch (err) {
+        throw failure('Failed to convert MP3 to MIDI', err);
+    }
+    const midPath = filePath(`${fileName}.mid`);
+    if (audioName !== fileName && fs.existsSync(filePath(`${audioName}.mid`))) {
+        fs.renameSync(filePath(`${audioName}.mid`), midPath);
+    }
+    if (!fs.existsSync(midPath)) throw new Error('MIDI not produced');
+    return midPath;
+}
+
+// Tempo map and time signature of ./files/<fileName>.mid from the beat of
+// ./files/<fileName>.mp3 (see beat_track.py), rewritten in place
+async function trackBeats(fileName) {
+    const midPath = `./files/${fileName}.mid`;
+    try {
+        await runCommand('bash', ['./beat-track.sh', `./files/${fileName}.mp3`, midPath, midPath]);
+    } catch (err) {
+        throw failure('Failed to track the beat', err);
+    }
+}
+
+// ./files/<fileName>.mid, cleaned up in place with the cleanup options among the
+// transcription options (see cleanup_midi.py). No-op when they are all default.
+async function cleanupMidi(fileName, options = {}) {
+    const args = cleanupArgs(options);
+    if (!args.length) return;
+    const midPath = `./files/${fileName}.mid`;
+    try {
+        await runCommand('bash', ['./cleanup-midi.sh', midPath, midPath, ...args]);
+    } catch (err) {
+        throw failure('Failed to clean up the MIDI', err);
+    }
+}
+
+// ./files/<fileName>.mid → ./files/<fileName>.mp4
+// options are validated tutorial options (see tutorialOptions.js)
+async function renderTutorial(fileName, options, onProgress = () => {}) {
+    const mp4Path = filePath(`${fileName}.mp4`);
+    try {
+        if (TUTORIAL_RENDERER === 'midivisualizer') {
+            // Without a SoundFont the script falls back to timidity
+            const soundfont = defaultSoundfont();
+            const soundfontArgs = soundfont ? [soundfontPath(soundfont)] : [];
+            await runCommand('bash', ['./export-mp4.sh', `./files/${fileName}.mid`, `./files/${fileName}.mp4`, ...soundfontArgs], {
+                onLine: (line) => {
+                    // MIDIVisualizer reports the frame being exported, e.g. "Frame 120/3600"
+                    const match = line.match(/frame\D*(\d+)\s*\/\s*(\d+)/i);
+                    if (match && +match[2] > 0) onProgress((+match[1] / +match[2]) * 100);
+                },
+            });
+        } else {
+            await renderTutorialVideo(`./files/${fileName}.mid`, `./files/${fileName}.mp4`, options, onProgress);
+        }
+    } catch (err) {
+        throw failure('Failed to convert MIDI to MP4', err);
+    }
+    if (!fs.existsSync(mp4Path)) throw new Error('MP4 not produced');
+    return mp4Path;
+}
+
+// ./files/<fileName>.mid → ./files/<fileName>.<options.format>
+// options are validated audio options (see audioOptions.js)
+async function renderAudio(fileName, options, onProgress = () => {}) {
+    const audioPath = filePath(`${fileName}.${options.format}`);
+    try {
+        await renderMidiAudio(`./files/${fileName}.mid`, `./files/${fileName}.${options.format}`, options, onProgress);
+    } catch (err) {
+        throw failure('Failed to render the MIDI as audio', err);
+    }
+    if (!fs.existsSync(audioPath)) throw new Error('Audio not produced');
+    return audioPath;
+}
+
+// ./files/<fileName>.musicxml → ./files/<fileName>.pdf
+async function engraveScore(fileName) {
+    const pdfPath = filePath(`${fileName}.pdf`);
+    try {
+        await runCommand('bash', ['./export-pdf.sh', `./files/${fileName}.musicxml`, `./files/${fileName}.pdf`]);
+    } catch (err) {
+        throw failure('Failed to engrave the score', err);
+    }
+    if (!fs.existsSync(pdfPath)) throw new Error('PDF not produced');
+    return pdfPath;
+}
+
+function removeFile(p) {
+    try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+    } catch (err) {
+        console.warn('Failed to cleanup file:', p, err);
+    }
+}
+
+module.exports = {
+    FILES_DIR,
+    SEPARATION_MODES,
+    filePath,
+    replaceExtension,
+    isHttpUrl,
+    downloadAudio,
+    listPlaylist,
+    separateSources,
+    transcribe,
+    trackBeats,
+    cleanupMidi,
+    renderTutorial,
+    renderAudio,
+    engraveScore,
+    removeFile,
+};
@@ -0,0 +1,9 @@
+// Score uploads are identified by their content, like audio (see audio.js).
+// Only uncompressed partwise MusicXML is accepted, which is what the score view
+// exports (web/src/musicxml.js); compressed .mxl is not.
+function isMusicXml(buffer) {
+    if (!buffer) return false;
+    return buffer.toString('utf8', 0, 1024).includes('<score-partwise');
+}
+
+module.exports = { isMusicXml };
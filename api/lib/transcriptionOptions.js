@@ -0,0 +1,74 @@
+const { parseOptions } = require('./options');
+
+// Source separation before basic-pitch (separate.sh), basic-pitch settings a
+// request may override, with basic-pitch's own defaults, then beat tracking and
+// the cleanup pass run on its output (cleanup_midi.py; all off by default).
+// Requests use the snake_case names (form fields, JSON body or query string).
+const TRANSCRIPTION_OPTIONS = {
+    // transcribe one stem of the audio: 'instrumental' drops the vocals, 'piano'
+    // keeps only the piano (see SEPARATION_MODES in pipeline.js)
+    separation: { type: 'string', values: ['off', 'instrumental', 'piano'], default: 'off' },
+    onset_threshold: { type: 'number', min: 0.05, max: 0.95, default: 0.5, flag: '--onset-threshold' },
+    frame_threshold: { type: 'number', min: 0.05, max: 0.95, default: 0.3, flag: '--frame-threshold' },
+    // milliseconds
+    minimum_note_length: { type: 'number', min: 10, max: 2000, default: 127.7, flag: '--minimum-note-length' },
+    // Hz; null leaves the range open
+    minimum_frequency: { type: 'number', min: 20, max: 20000, default: null, flag: '--minimum-frequency' },
+    maximum_frequency: { type: 'number', min: 20, max: 20000, default: null, flag: '--maximum-frequency' },
+    melodia_trick: { type: 'boolean', default: true },
+    // tempo map and bars from the audio (beat_track.py) instead of basic-pitch's fixed 120 BPM
+    beat_tracking: { type: 'boolean', default: false },
+    // grid lines per beat (4 = 16ths, 3 = 8th triplets); 0 leaves timing alone
+    quantize_grid: { type: 'number', integer: true, min: 0, max: 16, default: 0, cleanupFlag: '--grid' },
+    quantize_strength: { type: 'number', min: 0, max: 1, default: 1, cleanupFlag: '--strength' },
+    // share of a grid step every other grid line is delayed by
+    quantize_swing: { type: 'number', min: 0, max: 0.5, default: 0, cleanupFlag: '--swing' },
+    // milliseconds, applied after merging (unlike minimum_note_length)
+    cleanup_min_duration: { type: 'number', min: 0, max: 2000, default: 0, cleanupFlag: '--min-duration' },
+    min_velocity: { type: 'number', integer: true, min: 0, max: 127, default: 0, cleanupFlag: '--min-velocity' },
+    // milliseconds; same-pitch fragments closer than this are merged
+    merge_gap: { type: 'number', min: 0, max: 500, default: 0, cleanupFlag: '--merge-gap' },
+    octave_correction: { type: 'boolean', default: false, cleanupFlag: '--octave-correction' },
+};
+
+/**
+ * Validate user supplied settings. Unknown keys are ignored, missing ones get
+ * the default. Returns { options } or { errors: [message, ...] }.
+ */
+function parseTranscriptionOptions(input = {}) {
+    const { options, errors } = parseOptions(TRANSCRIPTION_OPTIONS, input);
+
+    if (options.minimum_frequency != null && options.maximum_frequency != null
+        && options.minimum_frequency >= options.maximum_frequency) {
+        errors.push('minimum_frequency must be below maximum_frequency');
+    }
+
+    return errors.length ? { errors } : { options };
+}
+
+// Command line flags for basic-pitch (passed through mp3-to-midi.sh)
+function basicPitchArgs(options) {
+    const args = [];
+    for (const [name, spec] of Object.entries(TRANSCRIPTION_OPTIONS)) {
+        if (spec.flag && options[name] != null) args.push(spec.flag, String(options[name]));
+    }
+    if (options.melodia_trick === false) args.push('--no-melodia');
+    return args;
+}
+
+// Command line flags for cleanup_midi.py (through cleanup-midi.sh); only the
+// options that differ from their defaults, so [] means there is nothing to do
+function cleanupArgs(options) {
+    const args = [];
+    for (const [name, spec] of Object.entries(TRANSCRIPTION_OPTIONS)) {
+        if (!spec.cleanupFlag || options[name] == null || options[name] === spec.default) continue;
+        if (spec.type === 'boolean') {
+            if (options[name]) args.push(spec.cleanupFlag);
+        } else {
+            args.push(spec.cleanupFlag, String(options[name]));
+        }
+    }
+    return args;
+}
+
+module.exports = { TRANSCRIPTION_OPTIONS, parseTranscriptionOptions, basicPitchArgs, cleanupArgs };
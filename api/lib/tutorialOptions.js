@@ -0,0 +1,36 @@
+const { parseOptions } = require('./options');
+
+// Look of the tutorial videos rendered by tutorialRenderer.js. Requests use
+// the snake_case names (form fields next to mid_file); missing ones get the default.
+const TUTORIAL_THEMES = ['classic', 'red', 'neon'];
+
+const TUTORIAL_OPTIONS = {
+    // classic, or the Spider-Verse theme in its red or neon variant
+    theme: { type: 'string', values: TUTORIAL_THEMES, default: 'classic' },
+    // pixels; H.264 needs both even
+    width: { type: 'number', integer: true, min: 320, max: 3840, default: 1280 },
+    height: { type: 'number', integer: true, min: 240, max: 3840, default: 720 },
+    fps: { type: 'number', integer: true, min: 15, max: 60, default: 30 },
+    // MIDI note numbers of the lowest and highest key shown (A0..C8 by default)
+    first_key: { type: 'number', integer: true, min: 21, max: 108, default: 21 },
+    last_key: { type: 'number', integer: true, min: 21, max: 108, default: 108 },
+};
+
+/**
+ * Validate user supplied settings. Unknown keys are ignored, missing ones get
+ * the default. Returns { options } or { errors: [message, ...] }.
+ */
+function parseTutorialOptions(input = {}) {
+    const { options, errors } = parseOptions(TUTORIAL_OPTIONS, input);
+
+    if (options.width % 2 || options.height % 2) {
+        errors.push('width and height must be even');
+    }
+    if (options.first_key >= options.last_key) {
+        errors.push('first_key must be below last_key');
+    }
+
+    return errors.length ? { errors } : { options };
+}
+
+module.exports = { TUTORIAL_OPTIONS, TUTORIAL_THEMES, parseTutorialOptions };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Midi } = require('@tonejs/midi');
+const { createCanvas } = require('@napi-rs/canvas');
+const { API_ROOT } = require('./exec');
+const { loadWebModules } = require('./webModules');
+const { renderMidiAudio } = require('./midiAudio');
+const { parseAudioOptions } = require('./audioOptions');
+
+// Tutorial videos drawn by the web app's own piano roll (web/src/rollRenderer.js)
+// on a Node canvas, one frame per 1/fps seconds, piped as raw RGBA into ffmpeg.
+// The chart is built with the same helpers as the Visualizer (sustain-aware
+// ends, hands, bar lines), so the video looks like the roll on screen.
+
+const TAIL = 1.5; // seconds after the last note rings out
+
+const THEMES = {
+    classic: { spiderMode: false },
+    red: { spiderMode: true, spiderVariant: 'red' },
+    neon: { spiderMode: true, spiderVariant: 'neon' },
+};
+
+// What the Visualizer shows for a freshly opened file: drums hidden
+function buildChart(web, buffer) {
+    const midiData = new Midi(buffer);
+    const pedalWins = web.buildPedalWindows(web.midiPedals(midiData));
+    const chart = {
+        notes: web.assignHands(web.extendNotesWithPedal(web.midiNotes(midiData), pedalWins)),
+        pedals: web.mergePedalWindows(pedalWins),
+        beats: web.beatGrid(midiData.header, midiData.duration),
+    };
+    const trackSettings = Object.fromEntries(midiData.tracks.map((tr, index) => [
+        index, { mute: tr.instrument.percussion, solo: false, hidden: tr.instrument.percussion, color: null },
+    ]));
+    return { chart, trackSettings };
+}
+
+// ffmpeg reading raw frames on stdin: { write(frame), end(), abort() }.
+// end() resolves once ffmpeg has finished and rejects like runCommand on failure.
+function startEncoder(args) {
+    const child = spawn('ffmpeg', args, { cwd: API_ROOT, stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    const done = new Promise((resolve, reject) => {
+        child.on('error', (error) => reject({ error, stderr }));
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject({ error: new Error(`ffmpeg exited with code ${code}`), stderr });
+        });
+    });
+    // ffmpeg dying mid-stream shows up as EPIPE here; done reports why, once awaited
+    child.stdin.on('error', () => {});
+    done.catch(() => {});
+
+    return {
+        async write(frame) {
+            if (child.stdin.destroyed) return done;
+            if (!child.stdin.write(frame)) {
+                await Promise.race([new Promise(resolve => child.stdin.once('drain', resolve)), done]);
+            }
+        },
+        end() {
+            child.stdin.end();
+            return done;
+        },
+        abort() {
+            child.kill();
+        },
+    };
+}
+
+/**
+ * Render midPath as a tutorial video at mp4Path (both relative to the api directory).
+ * options: validated tutorial options (see tutorialOptions.js)
+ * onProgress(percent) follows the frames drawn.
+ */
+async function renderTutorialVideo(midPath, mp4Path, options, onProgress = () => {}) {
+    const { theme, width, height, fps, first_key: firstKey, last_key: lastKey } = options;
+    const web = await loadWebModules();
+    const { chart, trackSettings } = buildChart(web, fs.readFileSync(path.resolve(API_ROOT, midPath)));
+
+    // The on-screen proportions, scaled so the key range fills the width
+    const keyW = width / (lastKey - firstKey + 1);
+    const scale = keyW / web.ROLL_DEFAULTS.keyW;
+    const lead = web.ROLL_DEFAULTS.dropTime;
+    const end = chart.notes
+        .filter(n => !trackSettings[n.track].hidden)
+        .reduce((last, n) => Math.max(last, n.audibleEnd ?? n.end), 0);
+    const frames = Math.ceil((lead + end + TAIL) * fps);
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const roll = web.createRollRenderer();
+    const drawOptions = {
+        chart, trackSettings,
+        ...THEMES[theme],
+        spiderTheme: web.spiderTheme,
+        firstKey, lastKey,
+        keyW,
+        keyboardH: web.ROLL_DEFAULTS.keyboardH * scale,
+        pps: web.ROLL_DEFAULTS.pps * scale,
+        dropTime: lead,
+        background: web.rollBackground(THEMES[theme].spiderMode, THEMES[theme].spiderVariant),
+    };
+
+    // The audio starts at Transport time 0 of the roll, i.e. `lead` seconds in
+    const wavPath = mp4Path.replace(/\.mp4$/, '.wav');
+    const audio = parseAudioOptions({ format: 'wav', percussion: false });
+    if (audio.errors) throw new Error(audio.errors.join('; '));
+    try {
+        await renderMidiAudio(midPath, wavPath, audio.options);
+
+        const encoder = startEncoder([
+            '-y', '-hide_banner', '-loglevel', 'error',
+            '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps), '-i', 'pipe:0',
+            '-i', wavPath,
+            '-filter_complex', `[1:a]adelay=${Math.round(lead * 1000)}:all=1[a]`,
+            '-map', '0:v', '-map', '[a]',
+            '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+            '-c:a', 'aac', '-b:a', '192k',
+            mp4Path,
+        ]);
+        try {
+            for (let k = 0; k < frames; k++) {
+                roll.draw(ctx, drawOptions, k / fps);
+                await encoder.write(Buffer.from(ctx.getImageData(0, 0, width, height).data.buffer));
+                if (k % fps === 0) onProgress((k / frames) * 100);
+            }
+        } catch (err) {
+            encoder.abort();
+            throw err;
+        }
+        await encoder.end();
+    } finally {
+        fs.rmSync(path.resolve(API_ROOT, wavPath), { force: true });
+    }
+}
+
+module.exports = { renderTutorialVideo };
@@ -0,0 +1,48 @@
+const busboy = require('busboy');
+
+/**
+ * Read a single multipart file field into memory. fieldName may be a list of
+ * accepted names (the first file under any of them wins).
+ * Resolves to { filename, buffer }, or null when the field was not sent.
+ * Other form fields are collected into `fields`.
+ */
+function receiveUpload(req, fieldName) {
+    const fieldNames = [].concat(fieldName);
+    return new Promise((resolve, reject) => {
+        let bb;
+        try {
+            bb = busboy({ headers: req.headers });
+        } catch (err) {
+            return reject(err);
+        }
+        let upload = null;
+        const fields = {};
+
+        bb.on('file', (name, file, info) => {
+            if (fieldNames.includes(name) && !upload) {
+                const chunks = [];
+
+                file.on('data', (chunk) => {
+                    chunks.push(chunk);
+                });
+
+                file.on('end', () => {
+                    upload = { filename: info.filename, buffer: Buffer.concat(chunks) };
+                });
+            } else {
+                file.resume(); // discard non-file fields
+            }
+        });
+
+        bb.on('field', (name, value) => {
+            fields[name] = value;
+        });
+
+        bb.on('close', () => resolve(upload && { ...upload, fields }));
+        bb.on('error', reject);
+
+        req.pipe(bb);
+    });
+}
+
+module.exports = { receiveUpload };
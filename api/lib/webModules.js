@@ -0,0 +1,22 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { API_ROOT } = require('./exec');
+
+// The web app's modules that run anywhere (no imports, no DOM), so the API draws
+// and plays MIDI exactly like the Visualizer: rollRenderer.js, midiUtils.js,
+// hands.js and themeSpider.js. They are ES modules, loaded once on first use.
+const WEB_SRC = path.join(API_ROOT, '../web/src');
+const WEB_MODULES = ['rollRenderer', 'midiUtils', 'hands', 'themeSpider'];
+
+let webModules = null;
+
+// Resolves to the exports of all of them in one object
+function loadWebModules() {
+    if (!webModules) {
+        webModules = Promise.all(WEB_MODULES.map(name => import(pathToFileURL(path.join(WEB_SRC, `${name}.js`)).href)))
+            .then(modules => Object.assign({}, ...modules));
+    }
+    return webModules;
+}
+
+module.exports = { loadWebModules };
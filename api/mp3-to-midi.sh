@@ -1,12 +1,13 @@
 #!/usr/bin/env bash
 # mp3-to-midi.sh
-# Usage: mp3-to-midi.sh <output_mid_path>
+# Usage: mp3-to-midi.sh <output_mid_path> [basic-pitch options...]
 # This script is intended to be run from the `api` directory (as the Node server does),
 # but it resolves paths robustly using the script location. It will:
 # - source the virtualenv at /root/uta-proj/.venv/bin/activate
 # - take one arg: the output MID path (e.g. ./files/cream.mid)
 # - derive the input MP3 as ./files/<base>.mp3
-# - run: basic-pitch <output_dir> <input_mp3>
+# - run: basic-pitch [options...] <output_dir> <input_mp3>
+#   (any arguments after the output path, e.g. --onset-threshold 0.6, go to basic-pitch as-is)
 # - find the produced .mid in the output_dir and move it to the requested output path
 # - exit with meaningful codes for the API
 
@@ -15,13 +16,15 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 VENV_ACTIVATE="../.venv/bin/activate"
 
-if [[ "$#" -ne 1 ]]; then
-    echo "Usage: $0 <output_mid_path>" >&2
+if [[ "$#" -lt 1 ]]; then
+    echo "Usage: $0 <output_mid_path> [basic-pitch options...]" >&2
     exit 1
 fi
 
 # Resolve output path: if absolute, use it; otherwise make it relative to the script dir
 ARG_OUT="$1"
+shift
+BP_OPTIONS=("$@")
 if [[ "$ARG_OUT" = /* ]]; then
     OUT_PATH="$ARG_OUT"
 else
@@ -62,8 +65,8 @@ trap cleanup EXIT
 
 # Run basic-pitch with the required argument order: <output_dir> <input>
 if command -v basic-pitch >/dev/null 2>&1; then
-    echo "Running: basic-pitch '$TMP_OUT_DIR' '$INPUT_PATH'"
-    if basic-pitch "$TMP_OUT_DIR" "$INPUT_PATH"; then
+    echo "Running: basic-pitch ${BP_OPTIONS[@]+"${BP_OPTIONS[@]}"} '$TMP_OUT_DIR' '$INPUT_PATH'"
+    if basic-pitch ${BP_OPTIONS[@]+"${BP_OPTIONS[@]}"} "$TMP_OUT_DIR" "$INPUT_PATH"; then
         # Find the first .mid produced in the temp dir
         MID_FILE="$(find "$TMP_OUT_DIR" -maxdepth 1 -type f -iname '*.mid' | head -n 1 || true)"
         if [[ -z "${MID_FILE}" ]]; then
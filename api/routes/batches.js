@@ -0,0 +1,63 @@
+const express = require('express');
+const batches = require('../lib/batches');
+const { parseTranscriptionOptions } = require('../lib/transcriptionOptions');
+const { isHttpUrl } = require('../lib/pipeline');
+
+
+const router = express.Router();
+
+// Transcribe a playlist and/or a list of links. Body: { "urls": [...] } (or a
+// single "url"), optional "tutorials": true to also render MP4s, plus the same
+// transcription options as POST /jobs/youtube-to-midi.
+// curl -X POST http://localhost:3000/batches -H "Content-Type: application/json" -d '{"url":"https://www.youtube.com/playlist?list=PL...","tutorials":true}'
+router.post('/batches', (req, res) => {
+    const body = req.body || {};
+    const urls = [].concat(body.urls || [], body.url || [])
+        .map(url => typeof url === 'string' ? url.trim() : '')
+        .filter(Boolean);
+    if (urls.length === 0) {
+        return res.status(400).json({ error: 'Provide "urls" (a list of links) or a playlist "url"' });
+    }
+    const invalid = urls.filter(url => !isHttpUrl(url));
+    if (invalid.length) {
+        return res.status(400).json({ error: 'Links must be http(s) URLs', details: invalid });
+    }
+    if (urls.length > batches.MAX_BATCH_ITEMS) {
+        return res.status(400).json({ error: `Too many links (max ${batches.MAX_BATCH_ITEMS})` });
+    }
+    const { options, errors } = parseTranscriptionOptions(body);
+    if (errors) {
+        return res.status(400).json({ error: 'Invalid transcription options', details: errors });
+    }
+
+    const batch = batches.startBatch(urls, { options, tutorials: Boolean(body.tutorials) });
+    res.status(202).json(batches.describe(batch));
+});
+
+// Per-item status; poll until state is "done" (or "failed")
+// curl http://localhost:3000/batches/<id>
+router.get('/batches/:id', (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batches.describe(batch));
+});
+
+// curl http://localhost:3000/batches/<id>/zip --output batch.zip
+router.get('/batches/:id/zip', (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!batch.zipPath) {
+        return res.status(409).json({ error: 'Batch not finished', state: batch.state });
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.attachment(`webscore-batch-${batch.id.substring(0, 8)}.zip`);
+    res.sendFile(batch.zipPath, (err) => {
+        if (err) console.error('Error sending batch ZIP:', err);
+    });
+});
+
+module.exports = router;
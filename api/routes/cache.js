@@ -0,0 +1,37 @@
+const express = require('express');
+const cache = require('../lib/cache');
+
+
+const router = express.Router();
+
+// The cache routes require ADMIN_TOKEN in the "admin-token" header; without an
+// ADMIN_TOKEN configured they are closed to everyone
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'Cache administration is disabled (ADMIN_TOKEN is not set)' });
+    }
+    if (req.headers['admin-token'] !== token) {
+        return res.status(403).json({ error: 'Admin token required' });
+    }
+    next();
+}
+
+// curl -H "admin-token: $ADMIN_TOKEN" http://localhost:3000/cache
+router.get('/cache', requireAdmin, (req, res) => {
+    res.json(cache.stats());
+});
+
+// Purge everything, or only one kind of artifact with ?kind=audio|midi|mp4|pdf|render|stems
+// curl -X DELETE -H "admin-token: $ADMIN_TOKEN" "http://localhost:3000/cache?kind=midi"
+router.delete('/cache', requireAdmin, (req, res) => {
+    const kind = req.query.kind;
+    if (kind && !['audio', 'midi', 'mp4', 'pdf', 'render', 'stems'].includes(kind)) {
+        return res.status(400).json({ error: 'kind must be one of audio, midi, mp4, pdf, render, stems' });
+    }
+    const removed = cache.purge(kind ? `${kind}:` : '');
+    console.log(`Purged ${removed} cache entries${kind ? ` (${kind})` : ''}`);
+    res.json({ removed, ...cache.stats() });
+});
+
+module.exports = router;
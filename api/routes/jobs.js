@@ -0,0 +1,220 @@
+const express = require('express');
+const { queue } = require('../lib/jobQueue');
+const { receiveUpload } = require('../lib/upload');
+const { SUPPORTED_AUDIO, sniffAudioType } = require('../lib/audio');
+const { TRANSCRIPTION_OPTIONS, parseTranscriptionOptions } = require('../lib/transcriptionOptions');
+const { TUTORIAL_OPTIONS, parseTutorialOptions } = require('../lib/tutorialOptions');
+const { audioOptionSpecs, parseAudioOptions } = require('../lib/audioOptions');
+const { isMusicXml } = require('../lib/score');
+const { isHttpUrl } = require('../lib/pipeline');
+const { startYoutubeToMidi, startAudioToMidi, startMidiToMp4, startMidiToAudio, startMusicXmlToPdf } = require('../lib/conversions');
+
+
+const router = express.Router();
+
+// Asynchronous versions of the conversion routes in files.js. Each POST queues a
+// job and answers 202 right away; follow it with GET /jobs/:id/events (or poll
+// GET /jobs/:id) and fetch GET /jobs/:id/result once its state is "done".
+
+// Transcription options (separation, onset_threshold, frame_threshold,
+// minimum_note_length, minimum_frequency, maximum_frequency, melodia_trick) go in
+// the JSON body or query string for YouTube links, and as form fields next to
+// uploaded files. separation=instrumental|piano transcribes a demucs stem; the
+// stems are then listed on the library entry (GET /library/:id/stems/:stem).
+
+// Ranges and defaults of the transcription options, for building a settings form
+// curl http://localhost:3000/transcription-options
+router.get('/transcription-options', (req, res) => {
+    const described = {};
+    for (const [name, { flag, cleanupFlag, ...spec }] of Object.entries(TRANSCRIPTION_OPTIONS)) {
+        described[name] = spec;
+    }
+    res.json(described);
+});
+
+// Tutorial options (theme, width, height, fps, first_key, last_key) go as form
+// fields next to the MIDI file; ranges and defaults:
+// curl http://localhost:3000/tutorial-options
+router.get('/tutorial-options', (req, res) => {
+    res.json(TUTORIAL_OPTIONS);
+});
+
+// Audio options (format, soundfont, percussion, normalize, loudness) likewise;
+// soundfont lists the SoundFonts installed in api/soundfonts
+// curl http://localhost:3000/audio-options
+router.get('/audio-options', (req, res) => {
+    res.json(audioOptionSpecs());
+});
+
+// curl -X POST -H "url: https://www.youtube.com/watch?v=wg8LfFX0rnQ" -H "Content-Type: application/json" -d '{"onset_threshold":0.6}' http://localhost:3000/jobs/youtube-to-midi
+router.post('/jobs/youtube-to-midi', (req, res) => {
+    const url = req.headers['url'];
+    if (!url) {
+        return res.status(400).json({ error: 'Missing url header (provide YouTube link in header "url")' });
+    }
+    if (!isHttpUrl(url)) {
+        return res.status(400).json({ error: 'The url header must be an http(s) link' });
+    }
+    const { options, errors } = parseTranscriptionOptions({ ...req.query, ...req.body });
+    if (errors) {
+        return res.status(400).json({ error: 'Invalid transcription options', details: errors });
+    }
+    const job = startYoutubeToMidi(url, options);
+    res.status(202).json(queue.describe(job));
+});
+
+// Any supported audio format (MP3, WAV, FLAC, OGG, M4A) as "audio_file" or "mp3_file"
+// curl -X POST http://localhost:3000/jobs/mp3-to-mid -F "audio_file=@autumn.wav" -F "minimum_note_length=80"
+router.post('/jobs/mp3-to-mid', async (req, res) => {
+    try {
+        const upload = await receiveUpload(req, ['audio_file', 'mp3_file']);
+        if (!upload) {
+            return res.status(400).json({ error: 'No file received' });
+        }
+        const audioType = sniffAudioType(upload.buffer);
+        if (!audioType) {
+            return res.status(415).json({ error: `Unsupported audio format (supported: ${SUPPORTED_AUDIO.join(', ')})` });
+        }
+        const { options, errors } = parseTranscriptionOptions(upload.fields);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid transcription options', details: errors });
+        }
+        const job = startAudioToMidi(upload, audioType, options);
+        res.status(202).json(queue.describe(job));
+    }
+    catch (err) {
+        console.error('Error receiving upload:', err);
+        res.status(400).json({ error: 'Invalid upload' });
+    }
+});
+
+// Optional song_id field attaches the tutorial to that library entry
+// curl -X POST http://localhost:3000/jobs/mid-to-mp4 -F "mid_file=@autumn.mid" -F "song_id=<id>" -F "width=1920" -F "height=1080"
+router.post('/jobs/mid-to-mp4', async (req, res) => {
+    try {
+        const upload = await receiveUpload(req, 'mid_file');
+        if (!upload) {
+            return res.status(400).json({ error: 'No file received' });
+        }
+        const { options, errors } = parseTutorialOptions(upload.fields);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid tutorial options', details: errors });
+        }
+        const job = startMidiToMp4(upload, { songId: upload.fields.song_id, options });
+        res.status(202).json(queue.describe(job));
+    }
+    catch (err) {
+        console.error('Error receiving upload:', err);
+        res.status(400).json({ error: 'Invalid upload' });
+    }
+});
+
+// The MIDI rendered by FluidSynth (timidity without a SoundFont) as WAV, MP3 or OGG
+// curl -X POST http://localhost:3000/jobs/mid-to-audio -F "mid_file=@autumn.mid" -F "format=wav" -F "soundfont=piano"
+router.post('/jobs/mid-to-audio', async (req, res) => {
+    try {
+        const upload = await receiveUpload(req, 'mid_file');
+        if (!upload) {
+            return res.status(400).json({ error: 'No file received' });
+        }
+        const { options, errors } = parseAudioOptions(upload.fields);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid audio options', details: errors });
+        }
+        const job = startMidiToAudio(upload, options);
+        res.status(202).json(queue.describe(job));
+    }
+    catch (err) {
+        console.error('Error receiving upload:', err);
+        res.status(400).json({ error: 'Invalid upload' });
+    }
+});
+
+// MusicXML from the score view's export as "musicxml_file"; engraved by MuseScore
+// curl -X POST http://localhost:3000/jobs/musicxml-to-pdf -F "musicxml_file=@autumn.musicxml"
+router.post('/jobs/musicxml-to-pdf', async (req, res) => {
+    try {
+        const upload = await receiveUpload(req, 'musicxml_file');
+        if (!upload) {
+            return res.status(400).json({ error: 'No file received' });
+        }
+        if (!isMusicXml(upload.buffer)) {
+            return res.status(415).json({ error: 'Not a MusicXML score' });
+        }
+        const job = startMusicXmlToPdf(upload);
+        res.status(202).json(queue.describe(job));
+    }
+    catch (err) {
+        console.error('Error receiving upload:', err);
+        res.status(400).json({ error: 'Invalid upload' });
+    }
+});
+
+// curl http://localhost:3000/jobs/<id>
+router.get('/jobs/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(queue.describe(job));
+});
+
+// Server-Sent Events stream of a job's updates (stage changes, download percent,
+// render frame progress). Every event is the same JSON as GET /jobs/:id; the
+// stream ends after the job is done or failed.
+// curl -N http://localhost:3000/jobs/<id>/events
+router.get('/jobs/:id/events', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // don't let nginx buffer the stream
+    });
+
+    const send = (update) => {
+        res.write(`data: ${JSON.stringify(update)}\n\n`);
+        if (update.state === 'done' || update.state === 'failed') {
+            close();
+            res.end();
+        }
+    };
+    const onUpdate = (update) => {
+        if (update.id === job.id) send(update);
+    };
+    // Comment lines keep idle proxies from dropping the connection during long stages
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        queue.off('update', onUpdate);
+    };
+
+    queue.on('update', onUpdate);
+    req.on('close', close);
+    send(queue.describe(job));
+});
+
+// curl http://localhost:3000/jobs/<id>/result --output result.mid
+router.get('/jobs/:id/result', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.state === 'failed') {
+        return res.status(500).json({ error: job.error });
+    }
+    if (job.state !== 'done') {
+        return res.status(409).json({ error: 'Job not finished', ...queue.describe(job) });
+    }
+    res.setHeader('Content-Type', job.result.contentType);
+    res.attachment(job.result.filename);
+    res.sendFile(job.result.path, (err) => {
+        if (err) console.error('Error sending job result:', err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const path = require('path');
+const library = require('../lib/library');
+const { filePath } = require('../lib/pipeline');
+const { AUDIO_CONTENT_TYPES } = require('../lib/audio');
+
+
+const router = express.Router();
+
+const MAX_HAND_OVERRIDES = 50000;
+
+// { "12.345:60": "L", ... } or null to clear
+function validHandOverrides(value) {
+    if (value === null) return true;
+    if (typeof value !== 'object' || Array.isArray(value)) return false;
+    const entries = Object.entries(value);
+    return entries.length <= MAX_HAND_OVERRIDES
+        && entries.every(([key, hand]) => /^\d+(\.\d+)?:\d{1,3}$/.test(key) && (hand === 'L' || hand === 'R'));
+}
+
+// Library entries as returned to clients (file names stay server-side)
+function describe(song) {
+    const { midiFile, mp4File, audioFile, stemFiles, ...rest } = song;
+    return {
+        ...rest,
+        hasMidi: Boolean(midiFile),
+        hasMp4: Boolean(mp4File),
+        hasAudio: Boolean(audioFile),
+        stems: Object.keys(stemFiles || {}),
+    };
+}
+
+// curl "http://localhost:3000/library?q=autumn"
+router.get('/library', (req, res) => {
+    res.json(library.list({ q: req.query.q }).map(describe));
+});
+
+// curl http://localhost:3000/library/<id>
+router.get('/library/:id', (req, res) => {
+    const song = library.get(req.params.id);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    res.json(describe(song));
+});
+
+// curl -X PATCH http://localhost:3000/library/<id> -H "Content-Type: application/json" -d '{"title":"Autumn Leaves"}'
+// curl -X PATCH http://localhost:3000/library/<id> -H "Content-Type: application/json" -d '{"handOverrides":{"12.345:55":"R"}}'
+router.patch('/library/:id', (req, res) => {
+    const changes = {};
+    for (const field of library.EDITABLE_FIELDS) {
+        if (req.body && req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (changes.title !== undefined && (typeof changes.title !== 'string' || !changes.title.trim())) {
+        return res.status(400).json({ error: 'Title must be a non-empty string' });
+    }
+    if (changes.title) changes.title = changes.title.trim();
+    if (changes.handOverrides !== undefined && !validHandOverrides(changes.handOverrides)) {
+        return res.status(400).json({ error: 'handOverrides must map "<start>:<pitch>" to "L" or "R"' });
+    }
+
+    const song = library.update(req.params.id, changes);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    res.json(describe(song));
+});
+
+// curl -X DELETE http://localhost:3000/library/<id>
+router.delete('/library/:id', (req, res) => {
+    const song = library.remove(req.params.id);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    res.status(204).end();
+});
+
+// curl http://localhost:3000/library/<id>/midi --output song.mid
+// curl http://localhost:3000/library/<id>/mp4 --output song.mp4
+// curl http://localhost:3000/library/<id>/audio --output song.mp3
+const DOWNLOADS = {
+    midi: { field: 'midiFile', ext: '.mid', contentType: 'audio/midi' },
+    mp4: { field: 'mp4File', ext: '.mp4', contentType: 'video/mp4' },
+    // The source audio keeps the format it was downloaded or uploaded in
+    audio: { field: 'audioFile' },
+};
+
+// Stems of the source separation, named as in the entry's stems list
+// curl http://localhost:3000/library/<id>/stems/piano --output piano.mp3
+router.get('/library/:id/stems/:stem', (req, res) => {
+    const song = library.get(req.params.id);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    const file = song.stemFiles && Object.hasOwn(song.stemFiles, req.params.stem) && song.stemFiles[req.params.stem];
+    if (!file) {
+        return res.status(404).json({ error: `No ${req.params.stem} stem for this song` });
+    }
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.attachment(`${song.title} (${req.params.stem}).mp3`);
+    res.sendFile(filePath(file), (err) => {
+        if (err) console.error('Error sending library file:', err);
+    });
+});
+
+router.get('/library/:id/:kind', (req, res) => {
+    const download = DOWNLOADS[req.params.kind];
+    const song = library.get(req.params.id);
+    if (!download || !song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    if (!song[download.field]) {
+        return res.status(404).json({ error: `No ${req.params.kind} for this song` });
+    }
+    const file = song[download.field];
+    const ext = download.ext || path.extname(file);
+    res.setHeader('Content-Type', download.contentType || AUDIO_CONTENT_TYPES[ext.slice(1)]);
+    res.attachment(`${song.title}${ext}`);
+    res.sendFile(filePath(file), (err) => {
+        if (err) console.error('Error sending library file:', err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+#!/usr/bin/env bash
+# separate.sh
+# Usage: separate.sh <input_mp3_path> <output_prefix> <instrumental|piano>
+# Splits the audio into stems with demucs on the CPU, so basic-pitch only hears
+# the part worth transcribing. Stems are written as <output_prefix>.<stem>.mp3:
+# - instrumental: htdemucs, vocals and no_vocals (everything else)
+# - piano: htdemucs_6s, piano, vocals, drums, bass, guitar and other
+# Runs inside the basic-pitch virtualenv (demucs is in requirements.txt). Like
+# mp3-to-midi.sh it is meant to be run from the `api` directory. The model
+# weights are downloaded on first use.
+
+set -euo pipefail
+
+VENV_ACTIVATE="../.venv/bin/activate"
+
+if [[ "$#" -ne 3 ]]; then
+    echo "Usage: $0 <input_mp3_path> <output_prefix> <instrumental|piano>" >&2
+    exit 1
+fi
+
+INPUT_PATH="$1"
+OUT_PREFIX="$2"
+case "$3" in
+    instrumental) MODEL_ARGS=(-n htdemucs --two-stems vocals) ;;
+    piano) MODEL_ARGS=(-n htdemucs_6s) ;;
+    *)
+        echo "Unknown separation mode: $3" >&2
+        exit 1
+        ;;
+esac
+
+if [[ -f "$VENV_ACTIVATE" ]]; then
+    # shellcheck disable=SC1090
+    source "$VENV_ACTIVATE"
+else
+    echo "Virtualenv activate not found at $VENV_ACTIVATE" >&2
+    exit 2
+fi
+
+if [[ ! -f "$INPUT_PATH" ]]; then
+    echo "Input MP3 not found: $INPUT_PATH" >&2
+    exit 3
+fi
+
+TMP_OUT_DIR="$(mktemp -d "$(dirname "$OUT_PREFIX")/$(basename "$OUT_PREFIX").demucs.XXXXXX")"
+cleanup() {
+    rm -rf "${TMP_OUT_DIR}" || true
+}
+trap cleanup EXIT
+
+# demucs draws a tqdm progress bar on stderr ("42%|████      | 98.3/234.0 [...]")
+python -m demucs "${MODEL_ARGS[@]}" -d cpu --mp3 --mp3-bitrate 192 \
+    -o "$TMP_OUT_DIR" --filename "{stem}.{ext}" "$INPUT_PATH"
+
+# demucs writes <out>/<model>/<stem>.mp3
+for STEM_FILE in "$TMP_OUT_DIR"/*/*.mp3; do
+    [[ -f "$STEM_FILE" ]] || { echo "demucs completed but wrote no stems" >&2; exit 4; }
+    mv -f "$STEM_FILE" "$OUT_PREFIX.$(basename "$STEM_FILE")"
+done
+echo "Stems written to: $OUT_PREFIX.*.mp3"
@@ -1,12 +1,16 @@
 const express = require('express');
 const fileRoutes = require('./routes/files');
+const jobRoutes = require('./routes/jobs');
+const libraryRoutes = require('./routes/library');
+const cacheRoutes = require('./routes/cache');
+const batchRoutes = require('./routes/batches');
 const cors = require('cors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // hand overrides can hold an entry per note
 app.use(express.raw({
     type: 'audio/*',
     limit: '10mb'
@@ -14,6 +18,10 @@ app.use(express.raw({
 
 // Use file routes
 app.use(fileRoutes);
+app.use(jobRoutes);
+app.use(libraryRoutes);
+app.use(cacheRoutes);
+app.use(batchRoutes);
 
 app.listen(PORT, () => {
     console.log(`File API server running on port ${PORT}`);
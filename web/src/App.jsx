@@ -1,17 +1,47 @@
 import React, { useRef, useState } from "react"
 import Visualizer from "./Visualizer.jsx"
+import JobProgress from "./JobProgress.jsx"
+import Library from "./Library.jsx"
+import Batch from "./Batch.jsx"
+import TranscriptionSettings, { summarizeOptions } from "./TranscriptionSettings.jsx"
+import { runJob, STAGE_LABELS } from "./jobs.js"
+import { scoreToMusicXml } from "./musicxml.js"
 
 export default function App(){
     const [midi, setMIDI] = useState(null);
     const [tutorial, setTutorial] = useState(null);
     const [showVisualizer, setShowVisualizer] = useState(false);
     const [loading, setLoading] = useState(false);
+    const [jobStatus, setJobStatus] = useState(null);
+    const [error, setError] = useState(null);
+    const [tutorialStatus, setTutorialStatus] = useState(null);
+    const [tutorialError, setTutorialError] = useState(null);
+    const [songId, setSongId] = useState(null);
+    const [showLibrary, setShowLibrary] = useState(false);
+    const [showBatch, setShowBatch] = useState(false);
+    // Where the current song's audio came from, so it can be re-transcribed:
+    // { type: "youtube", url } or { type: "upload", file }
+    const [source, setSource] = useState(null);
+    // basic-pitch settings the user changed (see TranscriptionSettings)
+    const [transcriptionOptions, setTranscriptionOptions] = useState({});
+    const [showAdvanced, setShowAdvanced] = useState(false);
+    // Every transcription of the current source: [{ label, midi, songId }]
+    const [versions, setVersions] = useState([]);
+    const [versionIndex, setVersionIndex] = useState(0);
+    // The Visualizer keeps this pointed at a function returning the score of the
+    // chart on screen (edits, hand split and hidden tracks included), for exports
+    const scoreRef = useRef(null);
+    // Likewise for the hand-edited notes as a MIDI Blob (null while unedited)
+    const midiRef = useRef(null);
+    const [pdfStatus, setPdfStatus] = useState(null);
+    const [pdfError, setPdfError] = useState(null);
     const toggleVisualizer = () => {
         setShowVisualizer(prevIsToggled => !prevIsToggled);
     };
     const [url_input, setUrlInput] = useState("");
 
     const fileInputRef = useRef(null);
+    const audioInputRef = useRef(null);
 
     const handleButtonClick = () => {
         fileInputRef.current.click();
@@ -22,50 +52,171 @@ export default function App(){
         const file = e.target.files[0];
         if (file) {
             setMIDI(file);
+            setSongId(null);
+            setSource(null);
+            setVersions([]);
             setLoading(false);
             setShowVisualizer(true);
             createTutorial(file);
         }
     };
 
-    const createTutorial = async (file) => {
+    // songId (optional) stores the finished tutorial with that library song
+    const createTutorial = async (file, songId) => {
         const formData = new FormData();
         formData.append("mid_file", file); // Assuming `midi` is the file
+        if (songId) formData.append("song_id", songId);
         console.log("attempting to create tutorial");
+        setTutorial(null);
+        setTutorialError(null);
+        setTutorialStatus(null);
         try {
-            const response = await fetch("/api/mid-to-mp4", {
-                method: "POST",
-                body: formData,
-            });
-
-            if (!response.ok) {
-                throw new Error("Failed to upload MIDI file");
-            }
-
-            const blob = await response.blob();
+            const { blob } = await runJob("/api/jobs/mid-to-mp4", { body: formData }, setTutorialStatus);
             console.log("Tutorial created successfully");
             setTutorial(blob);
         } catch (error) {
             console.error("Error:", error);
+            setTutorialError(error.message);
+        }
+    };
+
+    const saveBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // "My Song.mid" -> "My Song"; blobs from the API have no name
+    const scoreTitle = () => (midi?.name || "score").replace(/\.[^.]+$/, "");
+
+    const exportMusicXml = () => {
+        if (!scoreRef.current) return null;
+        const xml = scoreToMusicXml(scoreRef.current(), { title: scoreTitle() });
+        return new Blob([xml], { type: "application/vnd.recordare.musicxml+xml" });
+    };
+
+    const downloadMusicXml = () => {
+        const xml = exportMusicXml();
+        if (xml) saveBlob(xml, `${scoreTitle()}.musicxml`);
+    };
+
+    // MuseScore on the server engraves the same MusicXML into a PDF
+    const downloadPdf = async () => {
+        const xml = exportMusicXml();
+        if (!xml) return;
+        const formData = new FormData();
+        formData.append("musicxml_file", xml, `${scoreTitle()}.musicxml`);
+        setPdfError(null);
+        setPdfStatus(null);
+        try {
+            const { blob } = await runJob("/api/jobs/musicxml-to-pdf", { body: formData }, setPdfStatus);
+            saveBlob(blob, `${scoreTitle()}.pdf`);
+        } catch (error) {
+            console.error("Error:", error);
+            setPdfError(error.message);
+        } finally {
+            setPdfStatus(null);
+        }
+    };
+
+    const showVersion = (version, index) => {
+        setMIDI(version.midi);
+        setSongId(version.songId);
+        setVersionIndex(index);
+        setShowVisualizer(true);
+        createTutorial(version.midi, version.songId);
+    };
+
+    // Transcribe source with the current settings and add the result as a new version
+    const transcribe = async (source, previousVersions) => {
+        setLoading(true);
+        setJobStatus(null);
+        setError(null);
+        try {
+            let request;
+            if (source.type === "upload") {
+                const formData = new FormData();
+                formData.append("audio_file", source.file);
+                for (const [name, value] of Object.entries(transcriptionOptions)) {
+                    formData.append(name, value);
+                }
+                request = runJob("/api/jobs/mp3-to-mid", { body: formData }, setJobStatus);
+            } else {
+                request = runJob("/api/jobs/youtube-to-midi", {
+                    headers: {
+                        'url': source.url,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(transcriptionOptions)
+                }, setJobStatus);
+            }
+            const { blob, job } = await request;
+            const version = {
+                label: `Take ${previousVersions.length + 1} (${summarizeOptions(transcriptionOptions)})`,
+                midi: blob,
+                songId: job.songId
+            };
+            setSource(source);
+            setVersions([...previousVersions, version]);
+            showVersion(version, previousVersions.length);
+        } catch (error) {
+            console.error("Error:", error);
+            setError(`Couldn't score that ${source.type === "upload" ? "file" : "link"}: ${error.message}`);
+            setShowVisualizer(false);
+        } finally {
+            setLoading(false);
         }
     };
 
     const handleURL = async (e) => {
         e.preventDefault();
-        setLoading(true);
         console.log(url_input);
-        const response = await fetch("/api/youtube-to-midi", {
-            method: 'GET',
-            headers: {
-                'url': url_input
+        await transcribe({ type: "youtube", url: url_input }, []);
+    };
+
+    // Any audio the server can sniff (MP3, WAV, FLAC, OGG, M4A); it converts it before transcribing
+    const handleAudioFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = "";
+        if (file) {
+            await transcribe({ type: "upload", file }, []);
+        }
+    };
+
+    // Reopen a library song; only render a tutorial if it doesn't have one yet
+    const openSong = async (song) => {
+        setError(null);
+        try {
+            const response = await fetch(`/api/library/${song.id}/midi`);
+            if (!response.ok) throw new Error("Failed to load the song's MIDI");
+            const blob = await response.blob();
+            setMIDI(blob);
+            setSongId(song.id);
+            setSource(song.sourceUrl ? { type: "youtube", url: song.sourceUrl } : null);
+            setVersions([{ label: song.title, midi: blob, songId: song.id }]);
+            setVersionIndex(0);
+            setShowLibrary(false);
+            setShowBatch(false);
+            setShowVisualizer(true);
+            if (song.hasMp4) {
+                setTutorialError(null);
+                setTutorialStatus(null);
+                const video = await fetch(`/api/library/${song.id}/mp4`);
+                if (video.ok) {
+                    setTutorial(await video.blob());
+                    return;
+                }
             }
-        });
-        const blob = await response.blob();
-        setMIDI(blob);
-        setLoading(false);
-        setShowVisualizer(true);
-        const formData = new FormData();
-        createTutorial(blob);
+            createTutorial(blob, song.id);
+        } catch (error) {
+            console.error("Error:", error);
+            setError(error.message);
+            setShowLibrary(false);
+            setShowBatch(false);
+        }
     };
     if (loading) {
         return (
@@ -73,30 +224,20 @@ export default function App(){
                 <div className="flex flex-col justify-center">
                     <img width={500} className={"pb-16 top-1 drop-shadow-lg"} src={"/pianoani.png"} />
                 </div>
-                <p>Loading...</p>
+                <JobProgress status={jobStatus} />
             </div>
         )
     }
+    if (showLibrary) {
+        return <Library onOpen={openSong} onBack={() => setShowLibrary(false)} />;
+    }
+    if (showBatch) {
+        return <Batch options={transcriptionOptions} onOpen={openSong} onBack={() => setShowBatch(false)} />;
+    }
     if (showVisualizer) {
         return (
             <div>
                 <button onClick={toggleVisualizer} className={"w-16 top-4 left-4 absolute hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}>⇦</button>
-                <button
-                    onClick={() => {
-                        if (midi) {
-                            const url = URL.createObjectURL(midi);
-                            const a = document.createElement("a");
-                            a.href = url;
-                            a.download = "downloaded-midi.mid";
-                            a.click();
-                            URL.revokeObjectURL(url);
-                        } else {
-                            console.error("No MIDI file available to download.");
-                        }
-                    }}
-                    className={"top-4 right-4 absolute hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}
-                >
-                    Download MIDI</button>
                     <button
                         onClick={() => {
                             if (tutorial) {
@@ -114,9 +255,76 @@ export default function App(){
                         className={`top-4 right-70 absolute  duration-150  bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold text-3xl ${
                             !tutorial ? "opacity-50 cursor-not-allowed" : "hover:rotate-1 hover:scale-102 hover:bg-blue-950 cursor-pointer"}`}
                     >
-                        DL Tut mp4</button>
+                        {tutorial || tutorialError || !tutorialStatus
+                            ? "DL Tut mp4"
+                            : `${STAGE_LABELS[tutorialStatus.state]}${tutorialStatus.state === "queued" ? "" : ` ${tutorialStatus.progress}%`}`}
+                    </button>
+                {/* Downloads of what the visualizer shows: the MIDI, and its score */}
+                <div className="top-4 right-4 absolute flex flex-col gap-2 items-end z-10">
+                    <button
+                        onClick={() => {
+                            const file = midiRef.current?.() || midi;
+                            if (file) {
+                                const url = URL.createObjectURL(file);
+                                const a = document.createElement("a");
+                                a.href = url;
+                                a.download = "downloaded-midi.mid";
+                                a.click();
+                                URL.revokeObjectURL(url);
+                            } else {
+                                console.error("No MIDI file available to download.");
+                            }
+                        }}
+                        className={"hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}
+                    >
+                        Download MIDI</button>
+                    <div className="flex gap-2">
+                        <button onClick={downloadMusicXml} className="custom-button">MusicXML</button>
+                        <button onClick={downloadPdf} disabled={pdfStatus != null} className="custom-button">
+                            {pdfStatus
+                                ? `${STAGE_LABELS[pdfStatus.state]}${pdfStatus.state === "queued" ? "" : ` ${pdfStatus.progress}%`}`
+                                : "PDF"}
+                        </button>
+                    </div>
+                    {pdfError && (
+                        <p className="bg-red-100 text-red-800 font-bold p-2 rounded-xl">
+                            PDF failed: {pdfError}
+                        </p>
+                    )}
+                </div>
+                {tutorialError && (
+                    <p className="top-24 right-70 absolute bg-red-100 text-red-800 font-bold p-2 rounded-xl">
+                        Tutorial failed: {tutorialError}
+                    </p>
+                )}
                 <button hidden onClick={toggleVisualizer} className={"w-16 top-4 left-4 absolute hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}>⇦</button>
-                <Visualizer midi={midi} />
+                {source && (
+                    <div className="top-24 left-4 absolute flex flex-col gap-2 items-start z-10">
+                        <div className="flex gap-2 items-center">
+                            {versions.length > 1 && (
+                                <select value={versionIndex}
+                                        onChange={e => showVersion(versions[+e.target.value], +e.target.value)}
+                                        className="bg-white rounded-xl p-2 text-blue-900 font-bold shadow-md">
+                                    {versions.map((v, i) => <option key={i} value={i}>{v.label}</option>)}
+                                </select>
+                            )}
+                            <button onClick={() => setShowAdvanced(a => !a)} className="custom-button">
+                                {showAdvanced ? "Hide advanced" : "Advanced"}
+                            </button>
+                        </div>
+                        {showAdvanced && (
+                            <div className="w-[36rem] flex flex-col gap-2">
+                                <TranscriptionSettings value={transcriptionOptions} onChange={setTranscriptionOptions} />
+                                <button onClick={() => transcribe(source, versions)} className="custom-button self-start">
+                                    Re-transcribe with these settings
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+                {/* Edited tutorials aren't stored with the library song, whose MIDI is the original */}
+                <Visualizer midi={midi} songId={songId} scoreRef={scoreRef} midiRef={midiRef}
+                            onRenderTutorial={blob => createTutorial(blob)} />
             </div>
 
         )
@@ -126,6 +334,13 @@ export default function App(){
             <div className="flex justify-center">
                 <img width={1000} className={"pb-16 top-1 drop-shadow-lg"} src={"/webscore.png"} />
             </div>
+            {error && (
+                <div className="flex justify-center pb-4">
+                    <p className="bg-red-100 text-red-800 font-bold text-xl p-4 rounded-2xl shadow-lg">
+                        {error}
+                    </p>
+                </div>
+            )}
             <div className={"flex justify-center"}>
             <form className={"flex gap-4"}>
               <input value={url_input} onChange={e => setUrlInput(e.target.value)}
@@ -134,8 +349,32 @@ export default function App(){
               <button onClick={handleURL} className={"hover:rotate-1 hover:shadow-xl shadow-lg  hover:scale-102 hover:bg-[rgba(0,0,255,0.05)] duration-150 bg-radial-[at_25%_25%] from-[rgba(255,255,255,0.5)] to-[rgba(129, 151, 255, 0.5)]  to-75%  backdrop-blur-md cursor-pointer p-4 rounded-2xl w-32 text-[#6b7eba] font-extrabold text-3xl"}>Score</button>
             </form>
           </div>
+          <div className="flex flex-col items-center pt-4 gap-2">
+              <button type="button" onClick={() => setShowAdvanced(a => !a)} className="text-blue-900 font-bold text-xl cursor-pointer hover:underline">
+                  {showAdvanced ? "▾ Advanced" : "▸ Advanced"}
+              </button>
+              {showAdvanced && (
+                  <div className="w-[36rem]">
+                      <TranscriptionSettings value={transcriptionOptions} onChange={setTranscriptionOptions} />
+                  </div>
+              )}
+          </div>
           <div className={"flex justify-center bottom-2 justify-center m-auto left-0 right-0 gap-4 absolute"}>
-            <button hidden className={"w-64 hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl w-32 text-amber-50 font-extrabold font- text-3xl"}>Upload MP3</button>
+              <div>
+                  <input
+                      type="file"
+                      accept="audio/*,.mp3,.wav,.flac,.ogg,.m4a"
+                      ref={audioInputRef}
+                      style={{ display: "none" }}
+                      onChange={handleAudioFile}
+                  />
+                  <button
+                      onClick={() => audioInputRef.current.click()}
+                      className="w-64 hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold text-3xl"
+                  >
+                      Upload Audio
+                  </button>
+              </div>
               <div>
                   <input
                       type="file"
@@ -150,6 +389,18 @@ export default function App(){
                       Upload MIDI
                   </button>
               </div>
+              <button
+                  onClick={() => setShowLibrary(true)}
+                  className="w-64 hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold text-3xl"
+              >
+                  Library
+              </button>
+              <button
+                  onClick={() => setShowBatch(true)}
+                  className="w-64 hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold text-3xl"
+              >
+                  Batch
+              </button>
           </div>
         </div>
 
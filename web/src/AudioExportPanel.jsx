@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from "react"
+import { AUDIO_FORMATS } from "./audioExport"
+
+/**
+ * Settings for downloading the song as audio: rendered in the browser with the
+ * current instrument (audioExport.js), or by the server's /mid-to-audio with
+ * one of its SoundFonts (timidity when it has none).
+ *   onExport({ renderer: "browser" | "server", format, normalize, soundfont })
+ *   status:   label of the current step while rendering, else null
+ *   error:    message of the last failed export
+ *   instrumentLabel: the instrument the browser renders with
+ */
+export default function AudioExportPanel({ onExport, status, error, instrumentLabel, spiderMode = false }) {
+  const [open, setOpen] = useState(false)
+  const [renderer, setRenderer] = useState("browser")
+  const [format, setFormat] = useState("mp3")
+  const [normalize, setNormalize] = useState(true)
+  const [soundfonts, setSoundfonts] = useState(null) // names, once asked for
+  const [soundfont, setSoundfont] = useState("")
+
+  // The server's SoundFonts, the first time the panel opens
+  useEffect(() => {
+    if (!open || soundfonts) return
+    fetch("/api/audio-options")
+      .then(res => res.ok ? res.json() : null)
+      .then(spec => setSoundfonts(spec?.soundfont.values ?? []))
+      .catch(() => setSoundfonts([]))
+  }, [open, soundfonts])
+
+  const box = {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginTop: 8,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: `1px solid ${spiderMode ? "#3a3270" : "#aaa"}`,
+  }
+
+  const busy = status != null
+  const hasSoundfonts = soundfonts?.length > 0
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", alignItems:"center", marginBottom:10 }}>
+      <button className={"custom-button"} onClick={() => setOpen(v => !v)}>
+        {open ? "Hide audio export" : "Export audio"}
+      </button>
+      {open && (
+        <div style={box}>
+          <label>
+            Sound{" "}
+            <select value={renderer} onChange={e => setRenderer(e.target.value)} disabled={busy}>
+              <option value="browser">{instrumentLabel}</option>
+              <option value="server" disabled={!soundfonts}>
+                {soundfonts && !hasSoundfonts ? "Server (timidity)" : "SoundFont (server)"}
+              </option>
+            </select>
+          </label>
+          {renderer === "server" && hasSoundfonts && (
+            <label>
+              SoundFont{" "}
+              <select value={soundfont} onChange={e => setSoundfont(e.target.value)} disabled={busy}>
+                <option value="">Default</option>
+                {soundfonts.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </label>
+          )}
+          <label>
+            Format{" "}
+            <select value={format} onChange={e => setFormat(e.target.value)} disabled={busy}>
+              {AUDIO_FORMATS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label title="Scale to -16 LUFS, peaks under -1 dBFS">
+            <input type="checkbox" checked={normalize} onChange={e => setNormalize(e.target.checked)} disabled={busy} />
+            {" "}Normalize loudness
+          </label>
+          {busy
+            ? <span>{status}</span>
+            : <button className={"custom-button"} onClick={() => onExport({ renderer, format, normalize, soundfont })}>Render</button>}
+          {error && <span style={{ color: "#dc2626" }}>{error}</span>}
+        </div>
+      )}
+    </div>
+  )
+}
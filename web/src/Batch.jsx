@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react"
+import { STAGE_LABELS } from "./jobs.js"
+
+const BATCH_LABELS = {
+    expanding: "Reading playlist",
+    running: "Transcribing",
+    zipping: "Packing ZIP",
+    done: "Done",
+    failed: "Failed",
+};
+
+function itemStatus(status) {
+    if (!status) return "";
+    const label = STAGE_LABELS[status.state] || status.state;
+    return status.state === "queued" || status.state === "done" || status.state === "failed"
+        ? label
+        : `${label} ${status.progress}%`;
+}
+
+// Transcribe a playlist or a list of links in one go (POST /batches).
+// options are the transcription settings chosen on the home screen;
+// onOpen(song) opens a finished item like the library does.
+export default function Batch({ options, onOpen, onBack }) {
+    const [input, setInput] = useState("");
+    const [tutorials, setTutorials] = useState(false);
+    const [batch, setBatch] = useState(null);
+    const [error, setError] = useState(null);
+
+    const start = async () => {
+        const urls = input.split(/\s+/).filter(Boolean);
+        if (urls.length === 0) return;
+        setError(null);
+        try {
+            const response = await fetch("/api/batches", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ ...options, urls, tutorials }),
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || "Failed to start the batch");
+            setBatch(body);
+        } catch (error) {
+            console.error("Error:", error);
+            setError(error.message);
+        }
+    };
+
+    // Poll until the batch settles
+    const running = batch && batch.state !== "done" && batch.state !== "failed";
+    useEffect(() => {
+        if (!running) return;
+        const timer = setInterval(async () => {
+            try {
+                const response = await fetch(`/api/batches/${batch.id}`);
+                if (!response.ok) throw new Error("Lost track of the batch");
+                setBatch(await response.json());
+            } catch (error) {
+                console.error("Error:", error);
+                setError(error.message);
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [running, batch && batch.id]);
+
+    const open = async (songId) => {
+        const response = await fetch(`/api/library/${songId}`);
+        if (!response.ok) {
+            setError("Failed to open the song");
+            return;
+        }
+        onOpen(await response.json());
+    };
+
+    const smallButton = "hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 px-3 py-1 rounded-xl text-amber-50 font-bold";
+
+    return (
+        <div className="appear min-h-screen p-4 pt-24 flex flex-col items-center text-blue-900">
+            <button onClick={onBack} className={"w-16 top-4 left-4 absolute hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}>⇦</button>
+            <h2 className="text-4xl font-extrabold pb-6">Batch</h2>
+            {!batch && (
+                <div className="w-164 flex flex-col gap-4">
+                    <textarea value={input} onChange={e => setInput(e.target.value)} rows={6}
+                        placeholder={"Paste a playlist link, or one video link per line"}
+                        className={"shadow-lg bg-[rgba(255,255,255,0.5)] backdrop-blur-md p-4 rounded-2xl text-blue-900 text-xl"} />
+                    <div className="flex justify-between items-center">
+                        <label className="flex items-center gap-2 font-bold text-xl">
+                            <input type="checkbox" checked={tutorials} onChange={e => setTutorials(e.target.checked)} />
+                            Also render tutorial videos
+                        </label>
+                        <button onClick={start} disabled={!input.trim()}
+                                className="hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold text-2xl disabled:opacity-50">
+                            Start
+                        </button>
+                    </div>
+                </div>
+            )}
+            {error && <p className="bg-red-100 text-red-800 font-bold p-2 rounded-xl my-4">{error}</p>}
+            {batch && (
+                <div className="w-[56rem] flex flex-col gap-3">
+                    <div className="flex justify-between items-center text-xl font-bold">
+                        <span>
+                            {BATCH_LABELS[batch.state]}
+                            {batch.total > 0 && ` · ${batch.finished}/${batch.total}`}
+                            {batch.error && `: ${batch.error}`}
+                        </span>
+                        {batch.hasZip && (
+                            <a href={`/api/batches/${batch.id}/zip`} className={smallButton}>Download ZIP</a>
+                        )}
+                    </div>
+                    <ul className="flex flex-col gap-3">
+                        {batch.items.map((item, i) => (
+                            <li key={i} className="flex items-center gap-4 bg-[rgba(255,255,255,0.5)] shadow-md rounded-2xl p-4">
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-xl font-bold truncate">{item.title || item.url}</p>
+                                    <p className="text-sm opacity-80 truncate">
+                                        {[itemStatus(item),
+                                          item.tutorial && `Tutorial: ${itemStatus(item.tutorial)}`,
+                                          item.error].filter(Boolean).join(" · ")}
+                                    </p>
+                                    {item.state !== "done" && item.state !== "failed" && item.state !== "queued" && (
+                                        <div className="h-2 mt-1 rounded-full bg-blue-200 overflow-hidden">
+                                            <div className="h-full bg-blue-900 duration-300" style={{ width: `${item.progress}%` }} />
+                                        </div>
+                                    )}
+                                </div>
+                                {item.songId && <button className={smallButton} onClick={() => open(item.songId)}>Open</button>}
+                            </li>
+                        ))}
+                    </ul>
+                    {!running && (
+                        <button onClick={() => { setBatch(null); setError(null); }} className={`${smallButton} self-start`}>
+                            New batch
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
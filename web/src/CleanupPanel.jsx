@@ -0,0 +1,87 @@
+import React, { useState } from "react"
+import { CLEANUP_DEFAULTS } from "./midiUtils"
+
+const GRIDS = [
+  [0, "Off"],
+  [2, "8ths"],
+  [4, "16ths"],
+  [3, "8th triplets"],
+  [6, "16th triplets"],
+]
+
+/**
+ * Preview of the transcription cleanup pass (cleanupNotes in midiUtils.js).
+ *   value:      cleanup options, or null while the pass is off
+ *   onChange(options | null)
+ *   onDownload() saves the cleaned notes as a new MIDI file
+ *   disabled:   the notes were edited by hand, which the cleanup can't redo
+ */
+export default function CleanupPanel({ value, onChange, onDownload, disabled = false, spiderMode = false }) {
+  const [open, setOpen] = useState(false)
+  const o = value || CLEANUP_DEFAULTS
+  const set = (patch) => onChange({ ...o, ...patch })
+
+  const box = {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginTop: 8,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: `1px solid ${spiderMode ? "#3a3270" : "#aaa"}`,
+  }
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", alignItems:"center", marginBottom:10 }}>
+      <button className={"custom-button"} onClick={() => setOpen(v => !v)} disabled={disabled}
+              title={disabled ? "Revert the note edits to change the cleanup" : undefined}>
+        {open && !disabled ? "Hide cleanup" : value ? "Cleanup: ON" : "Clean up notes"}
+      </button>
+      {open && !disabled && (
+        <div style={box}>
+          <label title="Preview the cleaned notes in the roll, score and playback">
+            <input type="checkbox" checked={!!value} onChange={e => onChange(e.target.checked ? o : null)} /> On
+          </label>
+          <label>
+            Grid{" "}
+            <select value={o.grid} onChange={e => set({ grid: +e.target.value })} disabled={!value}>
+              {GRIDS.map(([grid, label]) => <option key={grid} value={grid}>{label}</option>)}
+            </select>
+          </label>
+          <label title="How far notes move towards the grid">
+            Strength {Math.round(o.strength * 100)}%{" "}
+            <input type="range" min={0} max={1} step={0.05} value={o.strength}
+                   onChange={e => set({ strength: +e.target.value })} disabled={!value || !o.grid} />
+          </label>
+          <label title="Delays every other grid line">
+            Swing {Math.round(o.swing * 100)}%{" "}
+            <input type="range" min={0} max={0.5} step={0.05} value={o.swing}
+                   onChange={e => set({ swing: +e.target.value })} disabled={!value || !o.grid} />
+          </label>
+          <label title="Drop notes shorter than this">
+            Min length{" "}
+            <input type="number" min={0} max={2000} step={10} value={o.minDuration} style={{ width: 64 }}
+                   onChange={e => set({ minDuration: Math.max(0, +e.target.value) })} disabled={!value} /> ms
+          </label>
+          <label title="Drop quieter notes (0-127)">
+            Min velocity{" "}
+            <input type="number" min={0} max={127} step={1} value={o.minVelocity} style={{ width: 56 }}
+                   onChange={e => set({ minVelocity: Math.max(0, +e.target.value) })} disabled={!value} />
+          </label>
+          <label title="Join same-pitch fragments closer than this">
+            Merge gap{" "}
+            <input type="number" min={0} max={500} step={5} value={o.mergeGap} style={{ width: 56 }}
+                   onChange={e => set({ mergeGap: Math.max(0, +e.target.value) })} disabled={!value} /> ms
+          </label>
+          <label title="Drop octave-up harmonics sounding with a louder note">
+            <input type="checkbox" checked={o.octaveCorrection}
+                   onChange={e => set({ octaveCorrection: e.target.checked })} disabled={!value} /> Octave fix
+          </label>
+          <button className={"custom-button"} onClick={onDownload} disabled={!value}>Save as MIDI</button>
+        </div>
+      )}
+    </div>
+  )
+}
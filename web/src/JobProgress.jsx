@@ -0,0 +1,38 @@
+import React from "react"
+import { STAGE_LABELS } from "./jobs.js"
+
+// Stage-by-stage progress of a conversion job (as streamed by /jobs/:id/events).
+export default function JobProgress({ status }) {
+    if (!status) {
+        return <p>Loading...</p>;
+    }
+    const stages = status.stages || [status.state];
+    const current = stages.indexOf(status.state);
+
+    return (
+        <div className="w-[36rem] flex flex-col gap-3 text-2xl">
+            {stages.filter(s => s !== "done").map((stage, i) => {
+                const finished = i < current || status.state === "done";
+                const active = i === current;
+                const percent = finished ? 100 : active ? status.progress : 0;
+                return (
+                    <div key={stage} className={active || finished ? "" : "opacity-40"}>
+                        <div className="flex justify-between pb-1">
+                            <span>{finished ? "✓ " : ""}{STAGE_LABELS[stage] || stage}</span>
+                            {active && stage === "queued" && status.position > 0 && (
+                                <span>#{status.position}</span>
+                            )}
+                            {active && stage !== "queued" && <span>{percent}%</span>}
+                        </div>
+                        <div className="h-3 rounded-full bg-blue-200 overflow-hidden">
+                            <div
+                                className={`h-full bg-blue-900 duration-300 ${active && stage === "queued" ? "animate-pulse w-full opacity-40" : ""}`}
+                                style={stage === "queued" && active ? undefined : { width: `${percent}%` }}
+                            />
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from "react"
+
+function formatDuration(seconds) {
+    if (!seconds) return "–";
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Stems of the source separation, as the API names them
+const STEM_LABELS = { no_vocals: "instrumental" };
+
+// Previously scored songs stored by the API (GET /library); onOpen(song) reopens one.
+export default function Library({ onOpen, onBack }) {
+    const [songs, setSongs] = useState([]);
+    const [query, setQuery] = useState("");
+    const [error, setError] = useState(null);
+    const [renamingId, setRenamingId] = useState(null);
+    const [renameValue, setRenameValue] = useState("");
+
+    const load = async (q) => {
+        try {
+            const response = await fetch(`/api/library?q=${encodeURIComponent(q)}`);
+            if (!response.ok) throw new Error("Failed to load the library");
+            setSongs(await response.json());
+            setError(null);
+        } catch (error) {
+            console.error("Error:", error);
+            setError(error.message);
+        }
+    };
+
+    // Search as you type, without a request per keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => load(query), 250);
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    const rename = async (song) => {
+        const title = renameValue.trim();
+        setRenamingId(null);
+        if (!title || title === song.title) return;
+        const response = await fetch(`/api/library/${song.id}`, {
+            method: "PATCH",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ title }),
+        });
+        if (!response.ok) {
+            setError("Failed to rename the song");
+            return;
+        }
+        const updated = await response.json();
+        setSongs(prev => prev.map(s => s.id === song.id ? updated : s));
+    };
+
+    const remove = async (song) => {
+        if (!window.confirm(`Delete "${song.title}" and its files?`)) return;
+        const response = await fetch(`/api/library/${song.id}`, { method: "DELETE" });
+        if (!response.ok) {
+            setError("Failed to delete the song");
+            return;
+        }
+        setSongs(prev => prev.filter(s => s.id !== song.id));
+    };
+
+    const smallButton = "hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 px-3 py-1 rounded-xl text-amber-50 font-bold";
+
+    return (
+        <div className="appear min-h-screen p-4 pt-24 flex flex-col items-center text-blue-900">
+            <button onClick={onBack} className={"w-16 top-4 left-4 absolute hover:rotate-1 hover:scale-102 hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 p-4 rounded-2xl text-amber-50 font-extrabold font- text-3xl"}>⇦</button>
+            <h2 className="text-4xl font-extrabold pb-6">Library</h2>
+            <input value={query} onChange={e => setQuery(e.target.value)}
+                placeholder={"Search title, uploader or link"}
+                className={"shadow-lg bg-[rgba(255,255,255,0.5)] backdrop-blur-md p-4 rounded-2xl w-164 text-blue-900 text-2xl mb-6"} />
+            {error && <p className="bg-red-100 text-red-800 font-bold p-2 rounded-xl mb-4">{error}</p>}
+            {songs.length === 0 && !error && (
+                <p className="opacity-70 text-xl">{query ? "No songs match your search." : "No scored songs yet."}</p>
+            )}
+            <ul className="w-[56rem] flex flex-col gap-3">
+                {songs.map(song => (
+                    <li key={song.id} className="flex items-center gap-4 bg-[rgba(255,255,255,0.5)] shadow-md rounded-2xl p-4">
+                        <div className="flex-1 min-w-0">
+                            {renamingId === song.id
+                                ? <input autoFocus value={renameValue}
+                                         onChange={e => setRenameValue(e.target.value)}
+                                         onBlur={() => rename(song)}
+                                         onKeyDown={e => {
+                                             if (e.key === "Enter") rename(song);
+                                             if (e.key === "Escape") setRenamingId(null);
+                                         }}
+                                         className="w-full text-xl font-bold p-1 rounded-lg" />
+                                : <p className="text-xl font-bold truncate">{song.title}</p>}
+                            <p className="text-sm opacity-80 truncate">
+                                {[song.uploader,
+                                  formatDuration(song.duration),
+                                  `${song.noteCount} notes`,
+                                  song.tempo && `${song.tempo} BPM`,
+                                  new Date(song.createdAt).toLocaleDateString()].filter(Boolean).join(" · ")}
+                            </p>
+                            {song.stems?.length > 0 && (
+                                <p className="text-sm flex gap-2">
+                                    Stems:
+                                    {song.stems.map(stem => (
+                                        <a key={stem} href={`/api/library/${song.id}/stems/${stem}`} download className="underline font-bold">
+                                            {STEM_LABELS[stem] || stem}
+                                        </a>
+                                    ))}
+                                </p>
+                            )}
+                        </div>
+                        <button className={smallButton} onClick={() => onOpen(song)}>Open</button>
+                        <button className={smallButton} onClick={() => { setRenamingId(song.id); setRenameValue(song.title); }}>Rename</button>
+                        <button className={smallButton} onClick={() => remove(song)}>Delete</button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
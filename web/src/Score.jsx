@@ -0,0 +1,209 @@
+import React, { useEffect, useRef } from "react"
+import {
+  Accidental, Beam, Dot, Formatter, Fraction, Renderer, Stave, StaveConnector, StaveNote, StaveTie, Voice
+} from "vexflow"
+import { spellPitch } from "./notation"
+
+/**
+ * Grand-staff rendering of a score from buildScore(), with a cursor that
+ * follows getPosition() (musical seconds, polled every frame).
+ */
+
+const SYSTEM_HEIGHT = 230     // treble + bass + spacing
+const BASS_OFFSET = 100       // bass stave below treble
+const MIN_MEASURE_WIDTH = 300
+const REST_KEY = { treble: "b/4", bass: "d/3" }
+
+// VexFlow key for a pitch in this key signature: 61 -> "c#/4"
+function vexKey(pitch, fifths) {
+  const { step, alter, octave } = spellPitch(pitch, fifths)
+  return `${step.toLowerCase()}${alter > 0 ? "#" : alter < 0 ? "b" : ""}/${octave}`
+}
+
+function toStaveNote(ev, clef, fifths, wholeMeasureRest) {
+  const rest = ev.pitches.length === 0
+  if (rest && wholeMeasureRest) {
+    return new StaveNote({ clef, keys: [REST_KEY[clef]], duration: "wr", align_center: true })
+  }
+  const note = new StaveNote({
+    clef,
+    keys: rest ? [REST_KEY[clef]] : ev.pitches.map(p => vexKey(p, fifths)),
+    duration: ev.type + (ev.dots ? "d" : "") + (rest ? "r" : ""),
+    auto_stem: !rest,
+  })
+  if (ev.dots) Dot.buildAndAttach([note], { all: true })
+  return note
+}
+
+export default function Score({ score, getPosition, width = 1200, maxHeight, spiderMode = false }) {
+  const scrollRef = useRef(null)
+  const hostRef = useRef(null)
+  const cursorRef = useRef(null)
+  const layoutRef = useRef({ stops: [] }) // [{ time, x, system }] sorted by time
+  const getPositionRef = useRef(getPosition)
+  getPositionRef.current = getPosition
+
+  // Engrave
+  useEffect(() => {
+    const host = hostRef.current
+    host.innerHTML = ""
+    if (!score) return
+
+    const perSystem = Math.max(1, Math.floor((width - 20) / MIN_MEASURE_WIDTH))
+    const measureWidth = (width - 20) / perSystem
+    const systems = Math.ceil(score.measures.length / perSystem)
+
+    const renderer = new Renderer(host, Renderer.Backends.SVG)
+    renderer.resize(width, systems * SYSTEM_HEIGHT + 20)
+    const ctx = renderer.getContext()
+
+    const placed = { treble: [], bass: [] } // [{ ev, note, system }] in order, for ties
+    const stops = []
+
+    score.measures.forEach((measure, i) => {
+      const system = Math.floor(i / perSystem)
+      const first = i % perSystem === 0
+      const x = 10 + (i % perSystem) * measureWidth
+      const y = 10 + system * SYSTEM_HEIGHT
+      const previous = score.measures[i - 1]
+      const [num, den] = measure.timeSignature
+      const keyChanged = previous && previous.key.fifths !== measure.key.fifths
+      const timeChanged = !previous || previous.timeSignature.join("/") !== measure.timeSignature.join("/")
+      // x/8 meters beam in dotted quarters, everything else by the beat
+      const beamGroups = den === 8 && num % 3 === 0 ? [new Fraction(3, 8)] : [new Fraction(1, den)]
+
+      const staves = {
+        treble: new Stave(x, y, measureWidth),
+        bass: new Stave(x, y + BASS_OFFSET, measureWidth),
+      }
+      for (const [clef, stave] of Object.entries(staves)) {
+        if (first) stave.addClef(clef)
+        if (first || keyChanged) stave.addKeySignature(measure.key.name, keyChanged ? previous.key.name : undefined)
+        if (timeChanged) stave.addTimeSignature(`${num}/${den}`)
+        if (!first) stave.setMeasure(measure.number)
+        stave.setContext(ctx).draw()
+      }
+      if (first) {
+        new StaveConnector(staves.treble, staves.bass).setType("brace").setContext(ctx).draw()
+        new StaveConnector(staves.treble, staves.bass).setType("singleLeft").setContext(ctx).draw()
+      }
+      new StaveConnector(staves.treble, staves.bass).setType("singleRight").setContext(ctx).draw()
+
+      const voices = []
+      const beams = []
+      for (const clef of ["treble", "bass"]) {
+        const events = measure[clef]
+        const wholeRest = events.length === 1 && events[0].pitches.length === 0
+        const notes = events.map(ev => toStaveNote(ev, clef, measure.key.fifths, wholeRest))
+        const voice = new Voice({ num_beats: num, beat_value: den })
+          .setMode(Voice.Mode.SOFT)
+          .addTickables(notes)
+        voice.setStave(staves[clef])
+        Accidental.applyAccidentals([voice], measure.key.name)
+        beams.push(...Beam.generateBeams(notes.filter(n => !n.isRest()), { groups: beamGroups }))
+        voices.push(voice)
+        events.forEach((ev, k) => placed[clef].push({ ev, note: notes[k], system }))
+      }
+
+      const noteStart = Math.max(staves.treble.getNoteStartX(), staves.bass.getNoteStartX())
+      new Formatter()
+        .joinVoices([voices[0]])
+        .joinVoices([voices[1]])
+        .format(voices, x + measureWidth - noteStart - 15)
+      voices[0].draw(ctx, staves.treble)
+      voices[1].draw(ctx, staves.bass)
+      beams.forEach(b => b.setContext(ctx).draw())
+
+      for (const clef of ["treble", "bass"]) {
+        measure[clef].forEach((ev, k) => {
+          const note = placed[clef][placed[clef].length - measure[clef].length + k].note
+          stops.push({ time: ev.time, x: note.getAbsoluteX(), system })
+        })
+      }
+      // Measure end, so the cursor can glide through the last beat
+      stops.push({ time: score.measures[i + 1]?.time ?? Infinity, x: x + measureWidth - 4, system, end: true })
+    })
+
+    // Ties (split across systems when a tie crosses a line break)
+    for (const list of Object.values(placed)) {
+      for (let k = 0; k + 1 < list.length; k++) {
+        const a = list[k]
+        const b = list[k + 1]
+        const tied = a.ev.ties.filter(p => b.ev.pitches.includes(p))
+        if (!tied.length) continue
+        const first_indices = tied.map(p => a.ev.pitches.indexOf(p))
+        const last_indices = tied.map(p => b.ev.pitches.indexOf(p))
+        const ties = a.system === b.system
+          ? [{ first_note: a.note, last_note: b.note, first_indices, last_indices }]
+          : [
+              { first_note: a.note, last_note: null, first_indices, last_indices: first_indices },
+              { first_note: null, last_note: b.note, first_indices: last_indices, last_indices },
+            ]
+        ties.forEach(t => new StaveTie(t).setContext(ctx).draw())
+      }
+    }
+
+    stops.sort((a, b) => a.time - b.time || (a.end ? 1 : 0) - (b.end ? 1 : 0))
+    layoutRef.current = { stops }
+  }, [score, width, spiderMode])
+
+  // Cursor
+  useEffect(() => {
+    let raf = 0
+    let lastSystem = -1
+    function tick() {
+      const { stops } = layoutRef.current
+      const cursor = cursorRef.current
+      if (stops.length && cursor) {
+        const pos = getPositionRef.current ? getPositionRef.current() : 0
+        // Last stop at or before pos
+        let lo = 0, hi = stops.length - 1
+        while (lo < hi) {
+          const mid = (lo + hi + 1) >> 1
+          if (stops[mid].time <= pos) lo = mid
+          else hi = mid - 1
+        }
+        const a = stops[lo]
+        const b = stops.slice(lo + 1).find(s => s.time > a.time)
+        let x = a.x
+        if (b && b.system === a.system && Number.isFinite(b.time)) {
+          x += (b.x - a.x) * Math.min(1, Math.max(0, (pos - a.time) / (b.time - a.time)))
+        }
+        cursor.style.transform = `translate(${x}px, ${10 + a.system * SYSTEM_HEIGHT - 10}px)`
+
+        // Keep the current system in view
+        if (a.system !== lastSystem && scrollRef.current) {
+          lastSystem = a.system
+          scrollRef.current.scrollTo({ top: a.system * SYSTEM_HEIGHT, behavior: "smooth" })
+        }
+      }
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [])
+
+  return (
+    <div ref={scrollRef} style={{
+      position: "relative",
+      width: `min(100%, ${width}px)`,
+      margin: "0 auto 12px",
+      maxHeight,
+      overflowY: "auto",
+      overflowX: "auto",
+      background: "#fff", // engraving is always black on paper
+      border: spiderMode ? "1px solid #3a3270" : "1px solid #aaa",
+    }}>
+      <div ref={hostRef} />
+      <div ref={cursorRef} style={{
+        position: "absolute",
+        left: 0,
+        top: 0,
+        width: 2,
+        height: SYSTEM_HEIGHT - 10,
+        background: spiderMode ? "#FF1D2E" : "rgba(30, 58, 138, 0.7)",
+        pointerEvents: "none",
+      }} />
+    </div>
+  )
+}
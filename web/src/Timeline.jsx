@@ -0,0 +1,189 @@
+import React, { useEffect, useMemo, useRef } from "react"
+
+/**
+ * Seek bar with a note-density minimap of the whole chart.
+ *
+ * All times are MUSICAL seconds (positions in the MIDI), so the bar and the
+ * elapsed/total readout do not change meaning when the playback rate does.
+ *
+ *   getPosition()     -> current musical position (polled every frame)
+ *   onScrubStart()    pointer went down on the bar
+ *   onScrub(t)        pointer moved while held
+ *   onScrubEnd(t)     pointer released (a plain click is start + end)
+ *
+ * loopA/loopB (optional) mark an A/B loop; loopOn highlights it as active.
+ */
+export default function Timeline({
+  chart,
+  getPosition,
+  onScrubStart,
+  onScrub,
+  onScrubEnd,
+  loopA = null,
+  loopB = null,
+  loopOn = false,
+  width = 88 * 20,
+  height = 48,
+  spiderMode = false,
+}) {
+  const canvasRef = useRef(null)
+  const labelRef = useRef(null)
+  const draggingRef = useRef(false)
+  // Read through a ref so a new getPosition each render doesn't restart the loop
+  const getPositionRef = useRef(getPosition)
+  getPositionRef.current = getPosition
+
+  const duration = useMemo(() => chartDuration(chart), [chart])
+  const density = useMemo(() => noteDensity(chart, duration, width), [chart, duration, width])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas.getContext("2d")
+    const W = canvas.width
+    const H = canvas.height
+    const peak = Math.max(1, ...density)
+
+    const barColor = spiderMode ? "#7c6fd6" : "#93a4d8"
+    const playedColor = spiderMode ? "#FF1D2E" : "#1e3a8a"
+    const loopColor = spiderMode ? "#00E5FF" : "#f59e0b"
+
+    // Pre-render the minimap once; each frame only overlays the playhead
+    const minimap = document.createElement("canvas")
+    minimap.width = W
+    minimap.height = H
+    const mctx = minimap.getContext("2d")
+    for (let x = 0; x < W; x++) {
+      if (!density[x]) continue
+      const h = Math.max(1, (density[x] / peak) * (H - 4))
+      mctx.fillStyle = barColor
+      mctx.fillRect(x, H - h, 1, h)
+    }
+
+    let raf = 0
+    function draw() {
+      const pos = Math.min(duration, Math.max(0, getPositionRef.current ? getPositionRef.current() : 0))
+      const xHead = duration > 0 ? (pos / duration) * W : 0
+
+      ctx.clearRect(0, 0, W, H)
+      ctx.drawImage(minimap, 0, 0)
+
+      // Played part tinted
+      ctx.save()
+      ctx.globalCompositeOperation = "source-atop"
+      ctx.fillStyle = playedColor
+      ctx.fillRect(0, 0, xHead, H)
+      ctx.restore()
+
+      // A/B loop
+      const xOf = (t) => (t / duration) * W
+      if (duration > 0 && loopA != null && loopB != null) {
+        ctx.fillStyle = loopColor
+        ctx.globalAlpha = loopOn ? 0.25 : 0.1
+        ctx.fillRect(xOf(loopA), 0, xOf(loopB) - xOf(loopA), H)
+        ctx.globalAlpha = 1
+      }
+      for (const [label, t] of [["A", loopA], ["B", loopB]]) {
+        if (t == null || duration <= 0) continue
+        const x = Math.round(xOf(t))
+        ctx.fillStyle = loopColor
+        ctx.fillRect(x - 1, 0, 2, H)
+        ctx.font = "bold 11px sans-serif"
+        ctx.fillText(label, label === "A" ? x + 3 : x - 10, 11)
+      }
+
+      // Playhead
+      ctx.fillStyle = spiderMode ? "#f7f7fb" : "#1e3a8a"
+      ctx.fillRect(Math.round(xHead) - 1, 0, 2, H)
+
+      if (labelRef.current) {
+        labelRef.current.textContent = `${formatTime(pos)} / ${formatTime(duration)}`
+      }
+      raf = requestAnimationFrame(draw)
+    }
+
+    raf = requestAnimationFrame(draw)
+    return () => cancelAnimationFrame(raf)
+  }, [density, duration, loopA, loopB, loopOn, spiderMode])
+
+  function timeAt(e) {
+    const rect = canvasRef.current.getBoundingClientRect()
+    const frac = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    return frac * duration
+  }
+
+  function handlePointerDown(e) {
+    if (!chart) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    draggingRef.current = true
+    onScrubStart?.()
+    onScrub?.(timeAt(e))
+  }
+
+  function handlePointerMove(e) {
+    if (draggingRef.current) onScrub?.(timeAt(e))
+  }
+
+  function handlePointerUp(e) {
+    if (!draggingRef.current) return
+    draggingRef.current = false
+    onScrubEnd?.(timeAt(e))
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", marginBottom: 10 }}>
+      <canvas
+        ref={canvasRef}
+        width={width}
+        height={height}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{
+          width: `min(100%, ${width}px)`,
+          height,
+          cursor: chart ? "pointer" : "default",
+          touchAction: "none",
+          borderRadius: 6,
+          border: spiderMode ? "1px solid #3a3270" : "1px solid #aaa",
+          background: spiderMode ? "#0f0e17" : "#fff"
+        }}
+      />
+      <div ref={labelRef} style={{ fontVariantNumeric: "tabular-nums", fontSize: 14, marginTop: 4 }} />
+    </div>
+  )
+}
+
+// End of the last sounding note (pedal-aware), in musical seconds. A pedal
+// that is never released sustains to Infinity, so the pedal-aware ends are
+// capped at the last event in the file (a key-up or a pedal release).
+export function chartDuration(chart) {
+  if (!chart) return 0
+  let lastEvent = 0
+  for (const n of chart.notes) lastEvent = Math.max(lastEvent, n.end)
+  for (const w of chart.pedals ?? []) {
+    if (Number.isFinite(w.end)) lastEvent = Math.max(lastEvent, w.end)
+  }
+  let end = 0
+  for (const n of chart.notes) end = Math.max(end, Math.min(n.audibleEnd ?? n.end, lastEvent))
+  return end
+}
+
+// Number of notes sounding in each of `columns` equal slices of the chart
+function noteDensity(chart, duration, columns) {
+  const counts = new Array(columns).fill(0)
+  if (!chart || duration <= 0) return counts
+  const perCol = duration / columns
+  for (const n of chart.notes) {
+    const first = Math.floor(n.start / perCol)
+    const last = Math.min(columns - 1, Math.floor(n.end / perCol))
+    for (let c = Math.max(0, first); c <= last; c++) counts[c]++
+  }
+  return counts
+}
+
+// 83.4 -> "1:23"
+export function formatTime(seconds) {
+  const s = Math.floor(seconds)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`
+}
@@ -0,0 +1,84 @@
+import React, { useState } from "react"
+
+// Distinct defaults for the colour pickers (before the user picks one the
+// notes keep their hand colours)
+const PALETTE = ["#ef4444", "#f59e0b", "#10b981", "#3b82f6", "#8b5cf6", "#ec4899", "#14b8a6", "#84cc16"]
+
+export function defaultTrackColor(index) {
+  return PALETTE[index % PALETTE.length]
+}
+
+// Mute wins, then solo: with any track soloed only soloed tracks sound.
+// Takes the settings explicitly: the Part calls it long after scheduling.
+export function isTrackAudible(track, settings) {
+  const s = settings[track]
+  if (!s) return true
+  if (s.mute) return false
+  return !Object.values(settings).some(t => t.solo) || s.solo
+}
+
+/**
+ * Mute / solo / hide / colour per MIDI track.
+ *   tracks:   chart.tracks ([{ index, name, instrument, channel, noteCount, percussion }])
+ *   settings: { [index]: { mute, solo, hidden, color } }
+ *   onChange(index, patch)
+ */
+export default function TrackPanel({ tracks, settings, onChange, spiderMode = false }) {
+  const [open, setOpen] = useState(false)
+  const anySolo = tracks.some(t => settings[t.index]?.solo)
+
+  const toggle = (active) => ({
+    padding: "2px 8px",
+    borderRadius: 8,
+    fontWeight: "bold",
+    cursor: "pointer",
+    background: active ? (spiderMode ? "#FF1D2E" : "#1e3a8a") : "transparent",
+    color: active ? "#fff" : "inherit",
+    border: `1px solid ${spiderMode ? "#3a3270" : "#aaa"}`,
+  })
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", alignItems:"center", marginBottom:10 }}>
+      <button className={"custom-button"} onClick={() => setOpen(o => !o)}>
+        {open ? "Hide tracks" : `Tracks (${tracks.length})`}
+      </button>
+      {open && (
+        <table style={{ marginTop: 8, borderCollapse: "separate", borderSpacing: "10px 4px" }}>
+          <tbody>
+            {tracks.map(track => {
+              const s = settings[track.index] || {}
+              const audible = !s.mute && (!anySolo || s.solo)
+              return (
+                <tr key={track.index} style={{ opacity: audible || !s.hidden ? 1 : 0.5 }}>
+                  <td>
+                    <input type="color" value={s.color || defaultTrackColor(track.index)}
+                           onChange={e => onChange(track.index, { color: e.target.value })}
+                           title="Note colour" style={{ width: 28, height: 22, opacity: s.color ? 1 : 0.4 }} />
+                  </td>
+                  <td><b>{track.name}</b></td>
+                  <td style={{ opacity: 0.8 }}>{track.instrument}</td>
+                  <td style={{ opacity: 0.8 }}>ch {track.channel + 1}{track.percussion ? " (drums)" : ""}</td>
+                  <td style={{ opacity: 0.8 }}>{track.noteCount} notes</td>
+                  <td>
+                    <button style={toggle(s.mute)} onClick={() => onChange(track.index, { mute: !s.mute })} title="Mute">M</button>
+                  </td>
+                  <td>
+                    <button style={toggle(s.solo)} onClick={() => onChange(track.index, { solo: !s.solo })} title="Solo">S</button>
+                  </td>
+                  <td>
+                    <button style={toggle(s.hidden)} onClick={() => onChange(track.index, { hidden: !s.hidden })} title="Hide from the piano roll">H</button>
+                  </td>
+                  <td>
+                    {s.color && (
+                      <button style={toggle(false)} onClick={() => onChange(track.index, { color: null })} title="Back to hand colours">×</button>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
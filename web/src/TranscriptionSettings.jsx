@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react"
+
+// How each basic-pitch option is presented; ranges and defaults come from the API
+const FIELDS = [
+    { name: "onset_threshold", label: "Onset threshold", step: 0.05, hint: "Higher = fewer ghost notes" },
+    { name: "frame_threshold", label: "Frame threshold", step: 0.05, hint: "Lower = longer sustained notes" },
+    { name: "minimum_note_length", label: "Min note length (ms)", step: 5, hint: "Drop notes shorter than this" },
+    { name: "minimum_frequency", label: "Lowest frequency (Hz)", step: 1, hint: "Empty = no limit" },
+    { name: "maximum_frequency", label: "Highest frequency (Hz)", step: 1, hint: "Empty = no limit" },
+];
+
+// The cleanup pass the server runs on basic-pitch's output (all off by default)
+const CLEANUP_FIELDS = [
+    { name: "quantize_grid", label: "Quantize grid (per beat)", step: 1, hint: "0 = off, 4 = 16ths, 3 = 8th triplets" },
+    { name: "quantize_strength", label: "Quantize strength", step: 0.05, hint: "How far notes move towards the grid" },
+    { name: "quantize_swing", label: "Swing", step: 0.05, hint: "Delays every other grid line" },
+    { name: "cleanup_min_duration", label: "Min duration after merging (ms)", step: 5, hint: "Drop notes shorter than this" },
+    { name: "min_velocity", label: "Min velocity", step: 1, hint: "Drop quieter notes (0-127)" },
+    { name: "merge_gap", label: "Merge gap (ms)", step: 5, hint: "Join same-pitch fragments closer than this" },
+];
+
+// Source separation before transcribing (demucs stems)
+const SEPARATION_LABELS = {
+    off: "Off (whole mix)",
+    instrumental: "Instrumental (drop vocals)",
+    piano: "Piano only",
+};
+
+const SHORT_LABELS = {
+    separation: "separation",
+    onset_threshold: "onset",
+    frame_threshold: "frame",
+    minimum_note_length: "min note",
+    minimum_frequency: "min Hz",
+    maximum_frequency: "max Hz",
+    melodia_trick: "melodia",
+    beat_tracking: "beat tracking",
+    quantize_grid: "grid",
+    quantize_strength: "strength",
+    quantize_swing: "swing",
+    cleanup_min_duration: "min dur",
+    min_velocity: "min vel",
+    merge_gap: "merge",
+    octave_correction: "octave fix",
+};
+
+// "onset 0.6, min note 80" — only the options that differ from the defaults
+export function summarizeOptions(options = {}) {
+    const parts = Object.entries(options)
+        .filter(([, value]) => value !== undefined && value !== "")
+        .map(([name, value]) => `${SHORT_LABELS[name] || name} ${value === false ? "off" : value}`);
+    return parts.length ? parts.join(", ") : "default settings";
+}
+
+/**
+ * Advanced basic-pitch settings. value holds only the options the user changed
+ * (snake_case, as the API expects); onChange receives the next such object.
+ */
+export default function TranscriptionSettings({ value, onChange }) {
+    const [specs, setSpecs] = useState(null);
+
+    useEffect(() => {
+        fetch("/api/transcription-options")
+            .then(res => res.ok ? res.json() : Promise.reject(new Error("Failed to load settings")))
+            .then(setSpecs)
+            .catch(error => console.error("Error:", error));
+    }, []);
+
+    if (!specs) {
+        return <p className="text-lg opacity-70">Loading settings...</p>;
+    }
+
+    const set = (name, raw) => {
+        const next = { ...value };
+        if (raw === "" || raw === specs[name].default) {
+            delete next[name];
+        } else {
+            next[name] = raw;
+        }
+        onChange(next);
+    };
+
+    // Slider for 0..1 values, number box for the rest
+    const field = ({ name, label, step, hint }) => {
+        const spec = specs[name];
+        const current = value[name] ?? spec.default;
+        const isThreshold = spec.max <= 1;
+        return (
+            <label key={name} title={hint} className="flex flex-col">
+                <span className="font-bold">{label}{isThreshold ? `: ${current}` : ""}</span>
+                {isThreshold
+                    ? <input type="range" min={spec.min} max={spec.max} step={step}
+                             value={current} onChange={e => set(name, +e.target.value)} />
+                    : <input type="number" min={spec.min} max={spec.max} step={step}
+                             value={current ?? ""} placeholder={hint}
+                             onChange={e => set(name, e.target.value === "" ? "" : +e.target.value)}
+                             className="rounded-lg p-1 bg-white" />}
+            </label>
+        );
+    };
+
+    return (
+        <div className="grid grid-cols-2 gap-x-8 gap-y-3 text-blue-900 text-lg bg-[rgba(255,255,255,0.5)] backdrop-blur-md shadow-lg rounded-2xl p-4">
+            <label className="col-span-2 flex flex-col" title="Split the audio with demucs first, so drums and vocals aren't transcribed as piano notes">
+                <span className="font-bold">Source separation</span>
+                <select value={value.separation ?? specs.separation.default}
+                        onChange={e => set("separation", e.target.value)}
+                        className="rounded-lg p-1 bg-white">
+                    {specs.separation.values.map(mode => <option key={mode} value={mode}>{SEPARATION_LABELS[mode] || mode}</option>)}
+                </select>
+            </label>
+            {FIELDS.map(field)}
+            <label className="flex items-center gap-2 font-bold" title="Basic-pitch's melody extraction heuristic">
+                <input type="checkbox"
+                       checked={value.melodia_trick ?? specs.melodia_trick.default}
+                       onChange={e => set("melodia_trick", e.target.checked)} />
+                Melodia trick
+            </label>
+            <label className="flex items-center gap-2 font-bold" title="Tempo map and bar lines from the audio instead of a fixed 120 BPM">
+                <input type="checkbox"
+                       checked={value.beat_tracking ?? specs.beat_tracking.default}
+                       onChange={e => set("beat_tracking", e.target.checked)} />
+                Beat tracking
+            </label>
+            <h3 className="col-span-2 font-extrabold mt-2">Cleanup</h3>
+            {CLEANUP_FIELDS.map(field)}
+            <label className="flex items-center gap-2 font-bold" title="Drop octave-up harmonics sounding with a louder note">
+                <input type="checkbox"
+                       checked={value.octave_correction ?? specs.octave_correction.default}
+                       onChange={e => set("octave_correction", e.target.checked)} />
+                Octave correction
+            </label>
+            <button type="button" onClick={() => onChange({})}
+                    className="justify-self-end hover:bg-blue-950 duration-150 cursor-pointer bg-blue-900 px-3 py-1 rounded-xl text-amber-50 font-bold">
+                Reset to defaults
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from "react"
+import { VIDEO_RESOLUTIONS, VIDEO_FPS, isVideoExportSupported } from "./videoExport"
+
+const THEMES = [
+  ["screen", "As on screen"],
+  ["classic", "Classic"],
+  ["red", "Spider-Verse red"],
+  ["neon", "Spider-Verse neon"],
+]
+
+/**
+ * Settings for the in-browser tutorial video (videoExport.js).
+ *   onExport({ format, width, height, fps, theme })  theme: one of THEMES
+ *   status:   { stage, progress } while rendering, else null
+ *   error:    message of the last failed export
+ *   onCancel()
+ */
+export default function VideoExportPanel({ onExport, status, error, onCancel, spiderMode = false }) {
+  const [open, setOpen] = useState(false)
+  const [format, setFormat] = useState("mp4")
+  const [resolution, setResolution] = useState(0)
+  const [fps, setFps] = useState(30)
+  const [theme, setTheme] = useState("screen")
+
+  const box = {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginTop: 8,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: `1px solid ${spiderMode ? "#3a3270" : "#aaa"}`,
+  }
+
+  if (!isVideoExportSupported()) return null
+
+  const [width, height] = VIDEO_RESOLUTIONS[resolution]
+  const busy = status != null
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", alignItems:"center", marginBottom:10 }}>
+      <button className={"custom-button"} onClick={() => setOpen(v => !v)}>
+        {open ? "Hide video export" : "Export video"}
+      </button>
+      {open && (
+        <div style={box}>
+          <label>
+            Format{" "}
+            <select value={format} onChange={e => setFormat(e.target.value)} disabled={busy}>
+              <option value="mp4">MP4</option>
+              <option value="webm">WebM</option>
+            </select>
+          </label>
+          <label>
+            Size{" "}
+            <select value={resolution} onChange={e => setResolution(+e.target.value)} disabled={busy}>
+              {VIDEO_RESOLUTIONS.map(([w, h, label], i) => <option key={label} value={i}>{label}</option>)}
+            </select>
+          </label>
+          <label>
+            FPS{" "}
+            <select value={fps} onChange={e => setFps(+e.target.value)} disabled={busy}>
+              {VIDEO_FPS.map(f => <option key={f} value={f}>{f}</option>)}
+            </select>
+          </label>
+          <label>
+            Theme{" "}
+            <select value={theme} onChange={e => setTheme(e.target.value)} disabled={busy}>
+              {THEMES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          {busy
+            ? (
+              <>
+                <span>{status.stage === "audio" ? "Rendering audio…" : `Encoding video ${status.progress}%`}</span>
+                <button className={"custom-button"} onClick={onCancel}>Cancel</button>
+              </>
+            )
+            : <button className={"custom-button"} onClick={() => onExport({ format, width, height, fps, theme })}>Render</button>}
+          {error && <span style={{ color: "#dc2626" }}>{error}</span>}
+        </div>
+      )}
+    </div>
+  )
+}
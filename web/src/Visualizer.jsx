@@ -1,18 +1,80 @@
-import React, { useRef, useState, useEffect } from "react"
+import React, { useRef, useState, useEffect, useMemo } from "react"
 import { Midi } from "@tonejs/midi"
 import * as Tone from "tone"
 import PianoRoll from "./PianoRoll"
-import { buildPedalWindows, extendNotesWithPedal } from "./midiUtils"
+import { ROLL_DEFAULTS } from "./rollRenderer"
+import Timeline, { formatTime } from "./Timeline"
+import { midiNotes, midiPedals, buildPedalWindows, extendNotesWithPedal, mergePedalWindows, onsetGroups, noteName, cleanupNotes, writeMidi, beatGrid, countInClicks } from "./midiUtils"
+import { INSTRUMENTS, DEFAULT_INSTRUMENT, loadInstrument } from "./instruments"
+import {
+  COMPUTER_KEYBOARD, isMidiSupported, requestMidiAccess, listenToMidiInput, listenToComputerKeyboard
+} from "./midiInput"
+import { createJudge } from "./scoring"
+import { assignHands, applyHandOverrides, handKey } from "./hands"
+import TrackPanel, { isTrackAudible } from "./TrackPanel"
+import CleanupPanel from "./CleanupPanel"
+import VideoExportPanel from "./VideoExportPanel"
+import { exportVideo } from "./videoExport"
+import AudioExportPanel from "./AudioExportPanel"
+import { exportAudio } from "./audioExport"
+import { runJob, STAGE_LABELS } from "./jobs"
+import Score from "./Score"
+import { buildScore } from "./notation"
 import { spiderTheme } from "./themeSpider"
+import { createMetronome, DEFAULT_METRONOME_VOLUME } from "./metronome"
+import { playbackMix, loadOriginalAudio } from "./originalAudio"
+import {
+  EDIT_GRIDS, editableNotes, editGrid, dragNotes, deleteNotes, addNote, setVelocity,
+  historyOf, pushHistory, undo, redo,
+} from "./noteEditor"
 
-export default function Visualizer({ midi }) {
+// Silence between starting playback and the first count-in click (seconds)
+const COUNT_IN_MARGIN = 0.1
+
+// The longest wait-for-me stops of a run
+function hardestSpots(log, count = 5) {
+  const total = log.reduce((sum, w) => sum + w.seconds, 0)
+  return {
+    count: log.length,
+    average: log.length ? total / log.length : 0,
+    hardest: [...log].sort((a, b) => b.seconds - a.seconds).slice(0, count),
+  }
+}
+
+// Playback rates the engine supports: 0.25×..2×, two decimals
+function clampRate(r) {
+  return Math.max(0.25, Math.min(2, Number(r.toFixed(2))))
+}
+
+// Hand fixes saved with a library song ({} when there are none or no song)
+async function loadHandOverrides(songId) {
+  if (!songId) return {}
+  try {
+    const res = await fetch(`/api/library/${songId}`)
+    if (!res.ok) return {}
+    return (await res.json()).handOverrides || {}
+  } catch (err) {
+    console.error("Error:", err)
+    return {}
+  }
+}
+
+// songId (optional): the library song being shown, so edits can be saved to it
+// scoreRef (optional): set to a function returning the notation of what is on
+// screen, for the MusicXML / PDF exports
+// midiRef (optional): set to a function returning the edited notes as a MIDI
+// Blob, or null while nothing was edited, for Download MIDI
+// onRenderTutorial(blob) (optional): render the tutorial video of the edits
+export default function Visualizer({ midi, songId, scoreRef, midiRef, onRenderTutorial }) {
   const [chart, setChart] = useState(null)
 
   // Visual sizing
-  const [basePps, setBasePps] = useState(140)   // base pixels/sec (scaled by rate)
-  const [keyW, setKeyW] = useState(20)
-  const [keyboardH, setKeyboardH] = useState(100)
-  const [dropTime, setDropTime] = useState(2.0) // seconds of pre-roll
+  const [basePps, setBasePps] = useState(ROLL_DEFAULTS.pps)   // base pixels/sec (scaled by rate)
+  const [keyW, setKeyW] = useState(ROLL_DEFAULTS.keyW)
+  const [keyboardH, setKeyboardH] = useState(ROLL_DEFAULTS.keyboardH)
+  const [dropTime, setDropTime] = useState(ROLL_DEFAULTS.dropTime) // seconds of pre-roll
+  const [countInLead, setCountInLead] = useState(null) // pre-roll of the running count-in, if any
+  const preRoll = countInLead ?? dropTime
 
   // Tempo
   const [rate, setRate] = useState(1.0)         // 0.25×..2×
@@ -29,12 +91,101 @@ export default function Visualizer({ midi }) {
   const [showHero, setShowHero] = useState(true)
 
   // Audio engine / schedule
-  const synthRef = useRef(null)
+  const instrumentRef = useRef(null)
   const partRef = useRef(null)
+  const [instrumentId, setInstrumentId] = useState(DEFAULT_INSTRUMENT)
+  const [instrumentLoading, setInstrumentLoading] = useState(false)
+  const [instrumentError, setInstrumentError] = useState(null)
+  const instrumentRequestRef = useRef(0)
 
   // Musical offset (where we start in the MIDI, in musical seconds)
   const [musicOffset, setMusicOffset] = useState(0)
 
+  // Whether playback should resume when a timeline drag ends
+  const resumeAfterScrubRef = useRef(false)
+
+  // A/B loop (musical seconds) and speed trainer
+  const [loopA, setLoopA] = useState(null)
+  const [loopB, setLoopB] = useState(null)
+  const [loopOn, setLoopOn] = useState(false)
+  const [trainerOn, setTrainerOn] = useState(false)
+  const [trainerFrom, setTrainerFrom] = useState(0.5)
+  const [trainerStep, setTrainerStep] = useState(0.05)
+  const [trainerTo, setTrainerTo] = useState(1.0)
+  const [reps, setReps] = useState(0)
+  const loopEventRef = useRef(null)   // Transport event id of the pending loop jump
+  const cleanRepRef = useRef(false)   // current repetition played through untouched
+  const loopEndRef = useRef(null)     // latest handleLoopEnd (Transport callbacks outlive renders)
+
+  // Play-along: "" (off), COMPUTER_KEYBOARD or a Web MIDI input id
+  const [inputId, setInputId] = useState("")
+  const [midiInputs, setMidiInputs] = useState([])
+  const [midiError, setMidiError] = useState(null)
+  const [score, setScore] = useState(null)       // judge.stats() while playing along
+  const [summary, setSummary] = useState(null)   // final stats at the end of the song
+  const midiAccessRef = useRef(null)
+  const summaryShownRef = useRef(false)
+  const judgeRef = useRef(null)
+  const playerRef = useRef({ keys: new Set(), judgements: [] })
+  const noteHandlersRef = useRef(null) // latest handlers (input listeners outlive renders)
+
+  // Wait-for-me: playback freezes at each onset of the chosen hands until the
+  // player has pressed all of its pitches; those notes are left to the player
+  const [waitHands, setWaitHands] = useState("")   // "" (off) | "L" | "R" | "LR"
+  const [waiting, setWaiting] = useState(null)     // { pitches, hit } shown while frozen
+  const [waitReport, setWaitReport] = useState(null)
+  const waitingRef = useRef(null)                  // { start, pitches, hit:Set, since, last }
+  const waitLogRef = useRef([])                    // [{ start, pitches, seconds }]
+  const waitHandlerRef = useRef(null)
+
+  // Hand assignment fixes: selected note indexes and the saved overrides
+  const [selectedNotes, setSelectedNotes] = useState(() => new Set())
+  const [handOverrides, setHandOverrides] = useState({})
+  const [handSaveError, setHandSaveError] = useState(null)
+
+  // Per-track mute / solo / hide / colour, keyed by track index
+  const [trackSettings, setTrackSettings] = useState({})
+  const trackSettingsRef = useRef(trackSettings) // read by the running Part
+  trackSettingsRef.current = trackSettings
+
+  // Metronome: clicks on every beat of the tempo map (downbeats accented);
+  // the count-in plays even with the metronome off
+  const [metronomeOn, setMetronomeOn] = useState(false)
+  const [metronomeVolume, setMetronomeVolume] = useState(DEFAULT_METRONOME_VOLUME) // dB
+  const [countInBars, setCountInBars] = useState(0) // 0, 1 or 2
+  const metronomeRef = useRef(null)
+  const metronomeOnRef = useRef(metronomeOn) // read by the running Part
+  metronomeOnRef.current = metronomeOn
+
+  // The library song's source audio, played in sync for A/B comparison;
+  // balance crossfades from it (0) to the transcription (1)
+  const originalRef = useRef(null)
+  const [hasOriginal, setHasOriginal] = useState(false)
+  const [balance, setBalance] = useState(0.5)
+
+  // Transcription cleanup preview (null = off); the chart is rebuilt from the
+  // parsed file whenever it changes
+  const [cleanup, setCleanup] = useState(null)
+  const sourceRef = useRef(null) // { midiData, notesRaw, pedalWins } of the loaded file
+
+  // Note editor: edits is the undo history of the edited note list (null until
+  // the first edit; from then on it replaces the file's notes and the cleanup)
+  const [editMode, setEditMode] = useState(false)
+  const [editGridSize, setEditGridSize] = useState(4) // grid lines per beat, 0 = off
+  const [edits, setEdits] = useState(null)
+  const velocityEditRef = useRef(null)  // selection a velocity drag is changing, to keep it one undo step
+  const rescheduleRef = useRef(false)   // chart changed by an edit: playback picks it up
+
+  // In-browser tutorial video (videoExport.js)
+  const [videoStatus, setVideoStatus] = useState(null) // { stage, progress } while rendering
+  const [videoError, setVideoError] = useState(null)
+  const videoAbortRef = useRef(null)
+  const [audioStatus, setAudioStatus] = useState(null) // label of the current step while rendering
+  const [audioError, setAudioError] = useState(null)
+
+  // What to show: the falling-notes roll, the grand staff, or both stacked
+  const [view, setView] = useState("roll") // "roll" | "score" | "both"
+
   // ---- Helpers ----
   async function ensureTone() {
     await Tone.start()
@@ -43,11 +194,75 @@ export default function Visualizer({ midi }) {
       ctx.latencyHint = "interactive"
       ctx.lookAhead = 0
     } catch {}
-    if (!synthRef.current) {
-      synthRef.current = new Tone.PolySynth(Tone.Synth).toDestination()
+    if (!instrumentRef.current) {
+      instrumentRef.current = await loadInstrument(instrumentId)
+        .catch(() => loadInstrument("synth"))
+    }
+    if (!metronomeRef.current) {
+      metronomeRef.current = createMetronome()
+      metronomeRef.current.setVolume(metronomeVolume)
+    }
+  }
+
+  useEffect(() => {
+    metronomeRef.current?.setVolume(metronomeVolume)
+  }, [metronomeVolume])
+
+  useEffect(() => () => {
+    metronomeRef.current?.dispose()
+    metronomeRef.current = null
+  }, [])
+
+  // Load (or reuse) an instrument; if playing, carry on with it from here
+  async function selectInstrument(id) {
+    const request = ++instrumentRequestRef.current
+    setInstrumentId(id)
+    setInstrumentError(null)
+    setInstrumentLoading(true)
+    let inst
+    try {
+      inst = await loadInstrument(id)
+    } catch (err) {
+      console.error("Error:", err)
+      if (request !== instrumentRequestRef.current) return
+      setInstrumentError("Couldn't load the piano samples, using the synth")
+      setInstrumentId("synth")
+      inst = await loadInstrument("synth")
     }
+    if (request !== instrumentRequestRef.current) return
+    setInstrumentLoading(false)
+    instrumentRef.current?.releaseAll()
+    instrumentRef.current = inst
+    if (isPlaying) await startFrom(getPosition(), rate)
   }
 
+  useEffect(() => {
+    selectInstrument(DEFAULT_INSTRUMENT)
+  }, [])
+
+  useEffect(() => {
+    setHasOriginal(false)
+    if (!songId) return
+    let cancelled = false
+    loadOriginalAudio(songId)
+      .then(original => {
+        if (cancelled) { original?.dispose(); return }
+        originalRef.current = original
+        setHasOriginal(Boolean(original))
+      })
+      .catch(err => console.error("Error:", err))
+    return () => {
+      cancelled = true
+      originalRef.current?.dispose()
+      originalRef.current = null
+    }
+  }, [songId])
+
+  // Without an original the transcription plays at full level
+  useEffect(() => {
+    playbackMix().fade.rampTo(hasOriginal ? balance : 1, 0.05)
+  }, [hasOriginal, balance])
+
   // Best-effort automatic output latency (seconds)
   function getAutoSyncSeconds() {
     const ctx = Tone.getContext()
@@ -77,32 +292,83 @@ export default function Visualizer({ midi }) {
     const buf = await file.arrayBuffer();
     const midiData = new Midi(buf);
 
-    const notesRaw = midiData.tracks.flatMap(tr =>
-        tr.notes.map(n => ({
-          pitch: n.midi,
-          start: n.time,
-          end: n.time + n.duration,
-          velocity: Math.round(n.velocity * 127),
-          hand: n.midi < 60 ? "L" : "R",
-          channel: tr.channel ?? 0,
-        }))
-    ).sort((a, b) => a.start - b.start);
-
-    const pedals = midiData.tracks.flatMap(tr => {
-      const arr = tr.controlChanges?.[64] || [];
-      return arr.map(cc => ({
-        time: cc.time,
-        value: typeof cc.value === "number" ? cc.value : (cc.value ?? 0),
-        channel: tr.channel ?? 0,
-      }));
-    });
+    const notesRaw = midiNotes(midiData);
+    const pedals = midiPedals(midiData);
 
     const pedalWins = buildPedalWindows(pedals);
-    const notes = extendNotesWithPedal(notesRaw, pedalWins);
+    const overrides = await loadHandOverrides(songId);
+    sourceRef.current = { midiData, notesRaw, pedalWins };
+    const notes = chartNotes(sourceRef.current, cleanup, overrides, null);
+
+    const tracks = midiData.tracks
+      .map((tr, index) => ({
+        index,
+        name: tr.name || `Track ${index + 1}`,
+        instrument: tr.instrument.percussion ? "drums" : tr.instrument.name,
+        channel: tr.channel ?? 0,
+        noteCount: tr.notes.length,
+        percussion: tr.instrument.percussion,
+      }))
+      .filter(t => t.noteCount > 0);
+    // Drums make no sense on a piano: muted and hidden until asked for
+    setTrackSettings(Object.fromEntries(tracks.map(t => [
+      t.index, { mute: t.percussion, solo: false, hidden: t.percussion, color: null },
+    ])));
 
-    setChart({ bpm: Math.round(midiData.header.tempos[0]?.bpm ?? 120), notes });
+    setChart({
+      // Tempo where the music starts (transcriptions may open with a lead-in)
+      bpm: Math.round(midiData.header.tempos.filter(t => t.time <= (notesRaw[0]?.start ?? 0)).at(-1)?.bpm ?? 120),
+      header: midiData.header, // tempo map, meter and key for the score view
+      beats: beatGrid(midiData.header, midiData.duration), // bar lines in the roll
+      notes,
+      pedals: mergePedalWindows(pedalWins),
+      tracks,
+    });
+    setHandOverrides(overrides);
+    setEdits(null);
+    setSelectedNotes(new Set());
+    setHandSaveError(null);
+    setScore(null);
+    setSummary(null);
     setIsReady(true);
     setMusicOffset(0);
+    setLoopA(null);
+    setLoopB(null);
+    setLoopOn(false);
+  }
+
+  // Raw notes → (cleanup) → sustain-aware ends → hands; edited notes replace
+  // the first two steps
+  function chartNotes({ midiData, notesRaw, pedalWins }, cleanupOptions, overrides, edited) {
+    const cleaned = edited ?? (cleanupOptions ? cleanupNotes(notesRaw, cleanupOptions, midiData.header) : notesRaw)
+    return assignHands(extendNotesWithPedal(cleaned, pedalWins), overrides)
+  }
+
+  useEffect(() => {
+    if (!sourceRef.current) return
+    setChart(c => c && { ...c, notes: chartNotes(sourceRef.current, cleanup, handOverrides, edits?.present) })
+    rescheduleRef.current = true
+  }, [cleanup, edits])
+
+  // Edits made while playing are heard from the playhead on
+  useEffect(() => {
+    if (!rescheduleRef.current) return
+    rescheduleRef.current = false
+    if (isPlaying) startFrom(getPosition(), rate)
+  }, [chart])
+
+  function cleanedMidi() {
+    const { midiData, notesRaw } = sourceRef.current
+    return new Blob([writeMidi(midiData, cleanupNotes(notesRaw, cleanup, midiData.header))], { type: "audio/midi" })
+  }
+
+  function downloadCleaned() {
+    const url = URL.createObjectURL(cleanedMidi())
+    const a = document.createElement("a")
+    a.href = url
+    a.download = "cleaned.mid"
+    a.click()
+    URL.revokeObjectURL(url)
   }
 
   useEffect(() => {
@@ -111,93 +377,628 @@ export default function Visualizer({ midi }) {
     }
   }, [midi]);
 
-  function scheduleNotes(currentOffset, currentRate, autoSyncSec) {
+  // endMus (optional) cuts the schedule off there, for A/B loops; lead is the
+  // engine seconds before currentOffset is reached (dropTime, or longer with
+  // a count-in, whose clicks come in countIn).
+  // Instruments with a real sustain pedal get the key-up times plus CC64
+  // down/up events; the rest play notes stretched to their audibleEnd.
+  function scheduleNotes(currentOffset, currentRate, autoSyncSec, endMus = Infinity, lead = dropTime, countIn = []) {
     if (partRef.current) { partRef.current.dispose(); partRef.current = null }
     if (!chart) return
 
-    const synth = synthRef.current
+    const inst = instrumentRef.current
     const events = []
+    const toEng = (tMus) => Math.max(0, lead + (tMus - currentOffset) / currentRate + (autoSyncSec || 0))
+    const waitFor = waitHands ? [...waitHands] : []
 
     for (const n of chart.notes) {
-      const audibleEnd = n.audibleEnd ?? n.end
-      if (audibleEnd <= currentOffset) continue
+      if (waitFor.includes(n.hand) && isTrackVisible(n.track)) continue // the player's part
+      const noteEnd    = inst.realPedal ? n.end : (n.audibleEnd ?? n.end)
+      const audibleEnd = Math.min(noteEnd, endMus)
+      if (audibleEnd <= currentOffset || n.start >= endMus) continue
 
       const startMus = Math.max(n.start, currentOffset)
       const durMus   = Math.max(0.01, audibleEnd - startMus)
 
-      let startEng   = dropTime + (startMus - currentOffset) / currentRate + (autoSyncSec || 0)
+      const startEng = toEng(startMus)
       const durEng   = durMus / currentRate
-      if (startEng < 0) startEng = 0
 
-      events.push([startEng, { pitch: n.pitch, durEng, vel: n.velocity }])
+      events.push([startEng, { type: "note", pitch: n.pitch, durEng, vel: n.velocity, track: n.track }])
+    }
+
+    if (inst.realPedal) {
+      for (const w of chart.pedals) {
+        if (w.end <= currentOffset || w.start >= endMus) continue
+        events.push([toEng(Math.max(w.start, currentOffset)), { type: "pedalDown" }])
+        if (w.end < endMus) events.push([toEng(w.end), { type: "pedalUp" }])
+      }
+    }
+
+    // Freeze just before the note reaches the keyboard (visual time, which
+    // doesn't include the audio latency compensation)
+    if (waitFor.length) {
+      const groups = onsetGroups(chart.notes.filter(n => isTrackVisible(n.track)), waitFor)
+        .filter(g => g.start >= currentOffset && g.start < endMus)
+      groups.forEach((group, i) => {
+        const waitEng = Math.max(0, lead + (group.start - currentOffset) / currentRate - 0.001)
+        events.push([waitEng, { type: "wait", group, last: i === groups.length - 1 }])
+      })
+    }
+
+    // Beats of the tempo map, so the clicks follow tempo and meter changes
+    for (const b of chart.beats) {
+      if (b.time < currentOffset || b.time >= endMus) continue
+      events.push([toEng(b.time), { type: "click", accent: b.beat === 0 }])
+    }
+    for (const c of countIn) {
+      events.push([toEng(c.time), { type: "click", accent: c.accent, countIn: true }])
     }
 
     partRef.current = new Tone.Part((time, ev) => {
-      synth.triggerAttackRelease(
-        Tone.Frequency(ev.pitch, "midi"),
-        ev.durEng,
-        time,
-        ev.vel / 127
-      )
+      if (ev.type === "click") {
+        if (ev.countIn || metronomeOnRef.current) metronomeRef.current?.click(time, ev.accent)
+      }
+      else if (ev.type === "wait") {
+        Tone.Transport.pause(time)
+        Tone.Draw.schedule(() => waitHandlerRef.current?.(ev.group, ev.last), time)
+      }
+      else if (ev.type === "pedalDown") inst.pedalDown(time)
+      else if (ev.type === "pedalUp") inst.pedalUp(time)
+      else if (isTrackAudible(ev.track, trackSettingsRef.current)) {
+        inst.noteOn(ev.pitch, time, ev.vel / 127)
+        inst.noteOff(ev.pitch, time + ev.durEng)
+      }
     }, events)
 
     partRef.current.start(0)
   }
 
-  async function startFrom(offsetMusicalSeconds, newRate = rate) {
+  // withCountIn: lead in with countInBars of clicks instead of the silent
+  // dropTime (fresh starts only; loops and seeks carry straight on)
+  async function startFrom(offsetMusicalSeconds, newRate = rate, withLoop = loopOn, withCountIn = false) {
     if (!chart) return
     await ensureTone()
     setMusicOffset(offsetMusicalSeconds)
 
+    const countIn = withCountIn ? countInClicks(chart.header, offsetMusicalSeconds, countInBars) : []
+    const lead = countIn.length
+      ? (offsetMusicalSeconds - countIn[0].time) / newRate + COUNT_IN_MARGIN
+      : dropTime
+    setCountInLead(countIn.length ? lead : null)
+
     const autoSyncSec = getAutoSyncSeconds()
 
     Tone.Transport.stop()
     Tone.Transport.seconds = 0
+    clearLoopEvent()
+    instrumentRef.current.releaseAll()
 
-    scheduleNotes(offsetMusicalSeconds, newRate, autoSyncSec)
+    const loopEnd = activeLoopEnd(offsetMusicalSeconds, withLoop)
+    scheduleNotes(offsetMusicalSeconds, newRate, autoSyncSec, loopEnd, lead, countIn)
     setRate(newRate)
 
+    if (loopEnd < Infinity) {
+      const endEng = lead + (loopEnd - offsetMusicalSeconds) / newRate
+      loopEventRef.current = Tone.Transport.scheduleOnce((time) => {
+        Tone.Draw.schedule(() => loopEndRef.current?.(), time)
+      }, endEng)
+    }
+    cleanRepRef.current = true
+    waitingRef.current = null
+    setWaiting(null)
+    if (offsetMusicalSeconds === 0) waitLogRef.current = []
+    judgeRef.current?.reset(offsetMusicalSeconds, loopEnd)
+    setScore(inputId ? judgeRef.current?.stats() : null)
+    setSummary(null)
+    summaryShownRef.current = false
+
+    // The original is heard with the same latency compensation as the notes
+    originalRef.current?.setTiming({ offset: offsetMusicalSeconds, rate: newRate, lead: lead + autoSyncSec })
     Tone.Transport.start()
     setIsPlaying(true)
   }
 
-  // ▶️ Play: resume if paused, otherwise start from beginning
+  // ---- A/B loop ----
+  const hasLoop = loopA != null && loopB != null && loopB > loopA
+  const loopActive = loopOn && hasLoop
+
+  // Where playback from `offset` should jump back to A (Infinity = no loop)
+  function activeLoopEnd(offset, enabled) {
+    return enabled && hasLoop && offset < loopB ? loopB : Infinity
+  }
+
+  function clearLoopEvent() {
+    if (loopEventRef.current != null) {
+      Tone.Transport.clear(loopEventRef.current)
+      loopEventRef.current = null
+    }
+  }
+
+  // Reached B: count the repetition, let the trainer speed up after a clean
+  // one, and go again from A
+  async function handleLoopEnd() {
+    if (!loopActive) return
+    // When playing along, a clean repetition also means no missed notes
+    if (inputId && judgeRef.current) {
+      judgeRef.current.sweep(Infinity)
+      if (judgeRef.current.stats().miss > 0) cleanRepRef.current = false
+    }
+    let nextRate = rate
+    if (trainerOn && cleanRepRef.current) {
+      nextRate = clampRate(Math.min(trainerTo, rate + trainerStep))
+    }
+    setReps(r => r + 1)
+    await startFrom(loopA, nextRate)
+  }
+  loopEndRef.current = handleLoopEnd
+
+  function setMarker(which) {
+    const t = getPosition()
+    const a = which === "A" ? t : loopA
+    const b = which === "B" ? t : loopB
+    // Keep A before B whichever is set first
+    if (a != null && b != null && b < a) {
+      setLoopA(b); setLoopB(a)
+    } else {
+      setLoopA(a); setLoopB(b)
+    }
+    setReps(0)
+  }
+
+  async function clearLoop() {
+    clearLoopEvent()
+    setLoopA(null)
+    setLoopB(null)
+    setLoopOn(false)
+    setReps(0)
+    // The running schedule stops at B; carry on past it
+    if (isPlaying && loopActive) await startFrom(getPosition(), rate, false)
+  }
+
+  // Turning the loop on or off takes effect from the current position
+  async function toggleLoop() {
+    const next = !loopOn
+    setLoopOn(next)
+    setReps(0)
+    if (isPlaying) {
+      await startFrom(getPosition(), rate, next)
+    } else if (!next) {
+      clearLoopEvent()
+    }
+  }
+
+  // ▶️ Play: resume if paused, otherwise start from the current offset
+  // (the beginning after Stop, or wherever the timeline was last set).
+  // With the loop on, a fresh start outside A–B begins at A, and the speed
+  // trainer begins at its starting rate.
   async function handlePlay() {
     if (!chart) return
     await ensureTone()
     if (Tone.Transport.state === "paused") {
-      Tone.Transport.start()
+      // Still frozen at a wait-for-me onset: keep waiting for the notes
+      if (!waitingRef.current) Tone.Transport.start()
       setIsPlaying(true)
       return
     }
-    await startFrom(0, rate)
+    if (loopActive) {
+      const inLoop = musicOffset >= loopA && musicOffset < loopB
+      setReps(0)
+      await startFrom(inLoop ? musicOffset : loopA, trainerOn ? clampRate(trainerFrom) : rate, loopOn, true)
+      return
+    }
+    await startFrom(musicOffset, rate, loopOn, true)
   }
 
   function handlePause() {
     Tone.Transport.pause()
+    instrumentRef.current?.releaseAll()
     setIsPlaying(false)
+    cleanRepRef.current = false
   }
 
   function handleStop() {
     Tone.Transport.stop()
     Tone.Transport.seconds = 0
+    clearLoopEvent()
+    instrumentRef.current?.releaseAll()
+    waitingRef.current = null
+    setWaiting(null)
     setIsPlaying(false)
     setMusicOffset(0)
+    setCountInLead(null)
   }
 
   // Change speed while keeping the same MUSICAL position
   async function setPresetSpeed(newRate) {
-    const clamped = Math.max(0.25, Math.min(2, Number(newRate.toFixed(2))))
+    const clamped = clampRate(newRate)
     if (isPlaying) {
       const tEng = Tone.Transport.seconds
-      const tMus = Math.max(0, (tEng - dropTime) * rate + musicOffset)
+      const tMus = Math.max(0, (tEng - preRoll) * rate + musicOffset)
       await startFrom(tMus, clamped)
+      cleanRepRef.current = false
       return
     }
     setRate(clamped)
   }
   function nudgeSpeed(delta) { setPresetSpeed(rate + delta) }
 
+  // Current position in MUSICAL seconds. Holds at the offset during the
+  // drop-time pre-roll, so seeking never shows the playhead jumping back.
+  const getPosition = () =>
+    musicOffset + Math.max(0, (Tone.Transport.seconds - preRoll) * rate)
+
+  // Timeline scrubbing: playback halts while dragging (the roll follows the
+  // pointer through musicOffset) and picks up again from the drop point
+  function handleScrubStart() {
+    resumeAfterScrubRef.current = isPlaying
+    Tone.Transport.stop()
+    Tone.Transport.seconds = 0
+    clearLoopEvent()
+    instrumentRef.current?.releaseAll()
+    waitingRef.current = null
+    setWaiting(null)
+    setIsPlaying(false)
+    setCountInLead(null)
+  }
+
+  function handleScrub(offsetMusicalSeconds) {
+    setMusicOffset(offsetMusicalSeconds)
+  }
+
+  async function handleScrubEnd(offsetMusicalSeconds) {
+    if (resumeAfterScrubRef.current) {
+      resumeAfterScrubRef.current = false
+      await startFrom(offsetMusicalSeconds, rate)
+      cleanRepRef.current = false
+      return
+    }
+    setMusicOffset(offsetMusicalSeconds)
+  }
+
+  // ---- Play-along ----
+  // Unclamped musical time (negative during the pre-roll from 0)
+  const getMusicalTime = () => musicOffset + (Tone.Transport.seconds - preRoll) * rate
+
+  function showJudgement(pitch, kind) {
+    playerRef.current.judgements.push({ pitch, kind, at: performance.now() })
+  }
+
+  function handleNoteOn(pitch, velocity) {
+    playerRef.current.keys.add(pitch)
+    const inst = instrumentRef.current
+    if (inst && Tone.getContext().state === "running") inst.noteOn(pitch, Tone.now(), velocity)
+
+    if (waitingRef.current) {
+      resolveWait(pitch)
+      return
+    }
+    if (waitHands || Tone.Transport.state !== "started" || !judgeRef.current) return
+    const hit = judgeRef.current.press(pitch, getMusicalTime(), rate)
+    if (hit) {
+      showJudgement(pitch, hit.kind)
+      setScore(judgeRef.current.stats())
+    }
+  }
+
+  function handleNoteOff(pitch) {
+    playerRef.current.keys.delete(pitch)
+    const inst = instrumentRef.current
+    if (inst && Tone.getContext().state === "running") inst.noteOff(pitch, Tone.now())
+  }
+  noteHandlersRef.current = { onNoteOn: handleNoteOn, onNoteOff: handleNoteOff }
+
+  // Reached an onset: stay frozen until its pitches have been played
+  function handleWait(group, last) {
+    waitingRef.current = { ...group, hit: new Set(), since: performance.now(), last }
+    setWaiting({ pitches: group.pitches, hit: [] })
+  }
+  waitHandlerRef.current = handleWait
+
+  function resolveWait(pitch) {
+    const w = waitingRef.current
+    if (!w.pitches.includes(pitch)) return
+    w.hit.add(pitch)
+    showJudgement(pitch, "good")
+    if (w.hit.size < w.pitches.length) {
+      setWaiting({ pitches: w.pitches, hit: [...w.hit] })
+      return
+    }
+    waitLogRef.current.push({ start: w.start, pitches: w.pitches, seconds: (performance.now() - w.since) / 1000 })
+    waitingRef.current = null
+    setWaiting(null)
+    if (w.last && !loopActive) setWaitReport(hardestSpots(waitLogRef.current))
+    if (isPlaying) Tone.Transport.start()
+  }
+
+  // Listen to the chosen input (through the ref, so handlers see fresh state)
+  useEffect(() => {
+    if (!inputId) return
+    const handlers = {
+      onNoteOn: (pitch, velocity) => noteHandlersRef.current.onNoteOn(pitch, velocity),
+      onNoteOff: (pitch) => noteHandlersRef.current.onNoteOff(pitch),
+    }
+    const unsubscribe = inputId === COMPUTER_KEYBOARD
+      ? listenToComputerKeyboard(handlers)
+      : listenToMidiInput(midiAccessRef.current, inputId, handlers)
+    return () => {
+      unsubscribe()
+      playerRef.current.keys.clear()
+    }
+  }, [inputId])
+
+  function selectInput(id) {
+    setMidiError(null)
+    setInputId(id)
+    if (!id) setWaitHands("") // nothing to wait for
+    setScore(id && judgeRef.current ? judgeRef.current.stats() : null)
+  }
+
+  async function connectMidi() {
+    if (!isMidiSupported()) {
+      setMidiError("This browser has no Web MIDI support, use the computer keyboard")
+      return
+    }
+    try {
+      midiAccessRef.current = await requestMidiAccess(setMidiInputs)
+    } catch (err) {
+      console.error("Error:", err)
+      setMidiError("MIDI access was denied")
+    }
+  }
+
+  // Judge missed notes while playing; show the summary when the song runs out
+  useEffect(() => {
+    if (!isPlaying || !inputId || waitHands) return
+    const timer = setInterval(() => {
+      const judge = judgeRef.current
+      if (!judge) return
+      const missed = judge.sweep(getMusicalTime(), rate)
+      if (missed.length) {
+        missed.forEach(n => showJudgement(n.pitch, "miss"))
+        setScore(judge.stats())
+      }
+      const stats = judge.stats()
+      if (!loopActive && stats.remaining === 0 && stats.judged > 0 && !summaryShownRef.current) {
+        summaryShownRef.current = true
+        setSummary(stats)
+      }
+    }, 100)
+    return () => clearInterval(timer)
+  }, [isPlaying, inputId, rate, musicOffset, preRoll, loopActive])
+
+  // ---- Tracks ----
+  function isTrackVisible(track) {
+    return !trackSettings[track]?.hidden
+  }
+
+  function updateTrack(index, patch) {
+    setTrackSettings(prev => ({ ...prev, [index]: { ...prev[index], ...patch } }))
+  }
+
+  // Play-along only judges what is on screen. A new chart (track settings,
+  // cleanup, edits) can arrive mid-run: judging picks up from the playhead, so
+  // the notes already passed don't count as misses
+  useEffect(() => {
+    if (!chart) return
+    const judge = createJudge(chart.notes.filter(n => isTrackVisible(n.track)))
+    const position = getPosition()
+    judge.reset(position, activeLoopEnd(position, loopOn))
+    judgeRef.current = judge
+    setScore(inputId ? judge.stats() : null)
+  }, [chart, trackSettings])
+
+  // The score only engraves when it is shown (quantizing isn't free)
+  const scoreNotes = () => chart.notes.filter(n => !n.percussion && isTrackVisible(n.track))
+  const notation = useMemo(() => {
+    if (!chart || view === "roll") return null
+    return buildScore(chart.header, scoreNotes())
+  }, [chart, trackSettings, view])
+  useEffect(() => {
+    if (!scoreRef) return
+    scoreRef.current = chart ? () => notation || buildScore(chart.header, scoreNotes()) : null
+    return () => { scoreRef.current = null }
+  }, [scoreRef, chart, trackSettings, notation])
+
+  // ---- Hand assignment ----
+  function handleNoteClick(index, e) {
+    setSelectedNotes(prev => {
+      if (index == null) return e.shiftKey ? prev : new Set()
+      const next = new Set(e.shiftKey ? prev : [])
+      if (next.has(index)) next.delete(index)
+      else next.add(index)
+      return next
+    })
+  }
+
+  // hand: "L" | "R", or null to go back to the automatic choice
+  async function setHand(indexes, hand) {
+    const next = { ...handOverrides }
+    for (const i of indexes) {
+      const key = handKey(chart.notes[i])
+      if (hand) next[key] = hand
+      else delete next[key]
+    }
+    setHandOverrides(next)
+    setChart(c => ({ ...c, notes: applyHandOverrides(c.notes, next) }))
+    if (!songId) return
+    try {
+      const res = await fetch(`/api/library/${songId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ handOverrides: Object.keys(next).length ? next : null }),
+      })
+      if (!res.ok) throw new Error("Failed to save hands")
+      setHandSaveError(null)
+    } catch (err) {
+      console.error("Error:", err)
+      setHandSaveError("Couldn't save the hand changes")
+    }
+  }
+
+  // Notes starting inside the A–B markers
+  function loopRangeNotes() {
+    return chart.notes.flatMap((n, i) => (n.start >= loopA && n.start < loopB ? [i] : []))
+  }
+
+  // ---- Note editor ----
+  const grid = useMemo(() => chart && editGrid(chart.header, editGridSize), [chart?.header, editGridSize])
+
+  // op(notes) → { notes, selected } (see noteEditor.js), applied to the notes
+  // on screen; replace folds it into the last undo step
+  function editNotes(op, replace = false) {
+    velocityEditRef.current = null
+    const current = edits?.present ?? editableNotes(chart.notes)
+    const { notes, selected } = op(current)
+    setEdits(pushHistory(edits ?? historyOf(current), notes, replace && !!edits))
+    setSelectedNotes(selected)
+  }
+
+  function handleDragNotes(indexes, drag) {
+    editNotes(notes => dragNotes(notes, indexes, drag, grid.snap))
+  }
+
+  // New notes go on the track of the selection (or the first piano track)
+  function handleAddNote(position) {
+    const like = chart.notes[[...selectedNotes][0]] ?? chart.notes.find(n => !n.percussion)
+    const template = { track: like?.track ?? 0, channel: like?.channel ?? 0, velocity: like?.velocity ?? 80 }
+    editNotes(notes => addNote(notes, position, grid, template))
+  }
+
+  function deleteSelected() {
+    if (selectedNotes.size) editNotes(notes => deleteNotes(notes, selectedNotes))
+  }
+
+  // One slider drag over the same selection is one undo step
+  const selectedVelocity = selectedNotes.size ? chart?.notes[[...selectedNotes][0]]?.velocity : null
+  function changeVelocity(velocity) {
+    const sameDrag = velocityEditRef.current === selectedNotes
+    editNotes(notes => setVelocity(notes, selectedNotes, velocity), sameDrag)
+    velocityEditRef.current = selectedNotes
+  }
+
+  function undoEdit() {
+    velocityEditRef.current = null
+    setEdits(h => h && undo(h))
+    setSelectedNotes(new Set())
+  }
+
+  function redoEdit() {
+    velocityEditRef.current = null
+    setEdits(h => h && redo(h))
+    setSelectedNotes(new Set())
+  }
+
+  function revertEdits() {
+    setEdits(null)
+    setSelectedNotes(new Set())
+  }
+
+  const editedMidi = () =>
+    new Blob([writeMidi(sourceRef.current.midiData, edits.present)], { type: "audio/midi" })
+  useEffect(() => {
+    if (!midiRef) return
+    midiRef.current = edits ? editedMidi : null
+    return () => { midiRef.current = null }
+  }, [midiRef, edits])
+
+  // Delete, Ctrl+Z and Ctrl+Shift+Z / Ctrl+Y while editing (through the ref,
+  // so the listener sees fresh state)
+  const editorKeysRef = useRef(null)
+  editorKeysRef.current = { deleteSelected, undoEdit, redoEdit }
+  useEffect(() => {
+    if (!editMode) return
+    const onKey = (e) => {
+      if (e.target.closest?.("input, select, textarea")) return
+      const keys = editorKeysRef.current
+      const mod = e.ctrlKey || e.metaKey
+      if (e.key === "Delete" || e.key === "Backspace") keys.deleteSelected()
+      else if (mod && e.key.toLowerCase() === "z") e.shiftKey ? keys.redoEdit() : keys.undoEdit()
+      else if (mod && e.key.toLowerCase() === "y") keys.redoEdit()
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener("keydown", onKey)
+    return () => window.removeEventListener("keydown", onKey)
+  }, [editMode])
+
+  // ---- Video export ----
+  // The chart as it is on screen (edits, hands, hidden tracks), drawn by the
+  // same renderer at the on-screen sizes scaled to the video width
+  async function exportTutorialVideo({ format, width, height, fps, theme }) {
+    const controller = new AbortController()
+    videoAbortRef.current = controller
+    setVideoError(null)
+    setVideoStatus({ stage: "audio", progress: 0 })
+    const themes = {
+      screen: { spiderMode, spiderVariant },
+      classic: { spiderMode: false, spiderVariant },
+      red: { spiderMode: true, spiderVariant: "red" },
+      neon: { spiderMode: true, spiderVariant: "neon" },
+    }
+    try {
+      const blob = await exportVideo(chart, trackSettings, {
+        format, width, height, fps,
+        instrumentId,
+        theme: { ...themes[theme], spiderTheme, showWebs, showSpiders, showHero },
+        view: { keyW, keyboardH, pps: basePps, dropTime },
+        onProgress: setVideoStatus,
+        signal: controller.signal,
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement("a")
+      a.href = url
+      a.download = `tutorial.${format}`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("Error:", err)
+        setVideoError(err.message)
+      }
+    } finally {
+      videoAbortRef.current = null
+      setVideoStatus(null)
+    }
+  }
+
+  // ---- Audio export ----
+  // In the browser: the chart as played (edits, cleanup, muted tracks) with the
+  // current instrument. On the server: the same notes as a MIDI file, played by
+  // a SoundFont
+  async function serverAudio({ format, normalize, soundfont }) {
+    const formData = new FormData()
+    formData.append("mid_file", edits ? editedMidi() : cleanup ? cleanedMidi() : midi, "song.mid")
+    formData.append("format", format)
+    formData.append("normalize", normalize)
+    if (soundfont) formData.append("soundfont", soundfont)
+    setAudioStatus(STAGE_LABELS.queued)
+    const { blob } = await runJob("/api/jobs/mid-to-audio", { body: formData }, job => setAudioStatus(STAGE_LABELS[job.state]))
+    return blob
+  }
+
+  async function exportAudioFile({ renderer, format, normalize, soundfont }) {
+    setAudioError(null)
+    try {
+      const blob = renderer === "server"
+        ? await serverAudio({ format, normalize, soundfont })
+        : await exportAudio(chart, trackSettings, {
+          format, instrumentId, normalize,
+          onProgress: ({ stage }) => setAudioStatus(stage === "audio" ? "Rendering audio…" : "Encoding…"),
+        })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement("a")
+      a.href = url
+      a.download = `song.${format}`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error("Error:", err)
+      setAudioError(err.message)
+    } finally {
+      setAudioStatus(null)
+    }
+  }
+
   const pps = basePps * rate
   const getTime = () => Tone.Transport.seconds
 
@@ -300,6 +1101,14 @@ export default function Visualizer({ midi }) {
         <button className={"custom-button"} onClick={handlePlay} disabled={!isReady || isPlaying}>Play</button>
         <button className={"custom-button"} onClick={handleStop} disabled={!isReady}>Stop</button>
 
+        <div style={{ width: 1, height: 24, background: spiderMode ? "#302a55" : "#ddd", margin: "0 8px" }} />
+
+        <select value={instrumentId} onChange={e => selectInstrument(e.target.value)} title="Instrument">
+          {INSTRUMENTS.map(i => <option key={i.id} value={i.id}>{i.label}</option>)}
+        </select>
+        {instrumentLoading && <span style={{ opacity: 0.7 }}>Loading samples…</span>}
+        {instrumentError && <span style={{ color: "#dc2626" }}>{instrumentError}</span>}
+
         <div style={{ marginLeft: 8, display: "flex", gap: 6 }}>
           <button className={"custom-button"} onClick={() => setPresetSpeed(0.5)} disabled={!isReady}>0.5×</button>
           <button className={"custom-button"} onClick={() => setPresetSpeed(1.0)} disabled={!isReady}>1×</button>
@@ -308,14 +1117,284 @@ export default function Visualizer({ midi }) {
         </div>
       </div>
 
+      {/* Metronome + count-in */}
+      <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+        <button className={"custom-button"} onClick={() => setMetronomeOn(on => !on)} disabled={!isReady}>
+          {metronomeOn ? "Metronome: ON" : "Metronome: OFF"}
+        </button>
+        <select value={countInBars} onChange={e => setCountInBars(+e.target.value)} title="Count-in before playback starts">
+          <option value={0}>No count-in</option>
+          <option value={1}>1 bar count-in</option>
+          <option value={2}>2 bar count-in</option>
+        </select>
+        <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+          Click volume
+          <input type="range" min="-40" max="6" step="1"
+            value={metronomeVolume} onChange={e => setMetronomeVolume(+e.target.value)} />
+          <span style={{ minWidth: 48 }}>{metronomeVolume} dB</span>
+        </label>
+      </div>
+
+      {/* Original audio ↔ transcription */}
+      {hasOriginal && (
+        <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+          <button className={"custom-button"} onClick={() => setBalance(0)}>Original</button>
+          <button className={"custom-button"} onClick={() => setBalance(0.5)}>Both</button>
+          <button className={"custom-button"} onClick={() => setBalance(1)}>Transcription</button>
+          <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+            Original
+            <input type="range" min="0" max="1" step="0.05"
+              value={balance} onChange={e => setBalance(+e.target.value)} />
+            Transcription
+          </label>
+        </div>
+      )}
+
+      {chart && (
+        <CleanupPanel value={cleanup} onChange={setCleanup} onDownload={downloadCleaned} disabled={!!edits} spiderMode={spiderMode} />
+      )}
+
+      {chart && (
+        <VideoExportPanel
+          onExport={exportTutorialVideo}
+          status={videoStatus}
+          error={videoError}
+          onCancel={() => videoAbortRef.current?.abort()}
+          spiderMode={spiderMode}
+        />
+      )}
+
+      {chart && (
+        <AudioExportPanel
+          onExport={exportAudioFile}
+          status={audioStatus}
+          error={audioError}
+          instrumentLabel={INSTRUMENTS.find(i => i.id === instrumentId)?.label}
+          spiderMode={spiderMode}
+        />
+      )}
+
+      {chart && (
+        <TrackPanel tracks={chart.tracks} settings={trackSettings} onChange={updateTrack} spiderMode={spiderMode} />
+      )}
+
+      <Timeline
+        chart={chart}
+        getPosition={getPosition}
+        onScrubStart={handleScrubStart}
+        onScrub={handleScrub}
+        onScrubEnd={handleScrubEnd}
+        width={(108 - 21 + 1) * keyW}
+        loopA={loopA}
+        loopB={loopB}
+        loopOn={loopOn}
+        spiderMode={spiderMode}
+      />
+
+      {/* A/B loop + speed trainer */}
+      <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+        <button className={"custom-button"} onClick={() => setMarker("A")} disabled={!isReady}>Set A</button>
+        <button className={"custom-button"} onClick={() => setMarker("B")} disabled={!isReady}>Set B</button>
+        <button className={"custom-button"} onClick={toggleLoop} disabled={!hasLoop}>
+          {loopOn ? "Loop: ON" : "Loop: OFF"}
+        </button>
+        <button className={"custom-button"} onClick={clearLoop} disabled={loopA == null && loopB == null}>Clear</button>
+
+        <div style={{ width: 1, height: 24, background: spiderMode ? "#302a55" : "#ddd", margin: "0 8px" }} />
+
+        <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+          <input type="checkbox" checked={trainerOn} onChange={e => setTrainerOn(e.target.checked)} />
+          Speed trainer
+        </label>
+        <label style={{ opacity: trainerOn ? 1 : 0.5 }}>
+          from <input type="number" min="0.25" max="2" step="0.05" value={trainerFrom}
+            onChange={e => setTrainerFrom(+e.target.value)} disabled={!trainerOn} style={{ width: 60 }} />×
+        </label>
+        <label style={{ opacity: trainerOn ? 1 : 0.5 }}>
+          +<input type="number" min="0.01" max="0.5" step="0.01" value={trainerStep}
+            onChange={e => setTrainerStep(+e.target.value)} disabled={!trainerOn} style={{ width: 60 }} />
+          per rep
+        </label>
+        <label style={{ opacity: trainerOn ? 1 : 0.5 }}>
+          up to <input type="number" min="0.25" max="2" step="0.05" value={trainerTo}
+            onChange={e => setTrainerTo(+e.target.value)} disabled={!trainerOn} style={{ width: 60 }} />×
+        </label>
+        {loopActive && (
+          <div style={{ minWidth: 90 }}>
+            <b>Rep {reps + 1}</b>
+            {trainerOn && rate >= clampRate(trainerTo) && " · target reached"}
+          </div>
+        )}
+      </div>
+
+      {/* Play-along input + score */}
+      <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+        <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+          Play along:
+          <select value={inputId} onChange={e => selectInput(e.target.value)}>
+            <option value="">Off</option>
+            <option value={COMPUTER_KEYBOARD}>Computer keyboard (Z–/ and Q–])</option>
+            {midiInputs.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+          </select>
+        </label>
+        <label style={{ display:"flex", alignItems:"center", gap:6, opacity: inputId ? 1 : 0.5 }}
+               title={inputId ? "Pause at each note until you play it" : "Choose an input to play along first"}>
+          Wait for me:
+          <select value={waitHands} onChange={e => setWaitHands(e.target.value)} disabled={!inputId || isPlaying}>
+            <option value="">Off</option>
+            <option value="L">Left hand</option>
+            <option value="R">Right hand</option>
+            <option value="LR">Both hands</option>
+          </select>
+        </label>
+        {waiting && (
+          <span>
+            Play {waiting.pitches.map(p => (
+              <b key={p} style={{ opacity: waiting.hit.includes(p) ? 0.4 : 1, marginRight: 4 }}>{noteName(p)}</b>
+            ))}
+          </span>
+        )}
+        {!midiAccessRef.current && (
+          <button className={"custom-button"} onClick={connectMidi}>Connect MIDI keyboard</button>
+        )}
+        {midiError && <span style={{ color: "#dc2626" }}>{midiError}</span>}
+        {score && (
+          <div style={{ display:"flex", gap:12, fontVariantNumeric:"tabular-nums" }}>
+            <b>Combo {score.combo}</b>
+            <span>Accuracy {score.accuracy}%</span>
+            <span style={{ color:"#16a34a" }}>{score.perfect} perfect</span>
+            <span style={{ color:"#0ea5e9" }}>{score.good} good</span>
+            <span style={{ color:"#dc2626" }}>{score.miss} miss</span>
+          </div>
+        )}
+      </div>
+
+      {waitReport && (
+        <div style={{ position:"fixed", inset:0, background:"rgba(0,0,0,0.4)", display:"flex", alignItems:"center", justifyContent:"center", zIndex:20 }}>
+          <div style={{ background: spiderMode ? "#17142a" : "#fff", borderRadius:16, padding:24, minWidth:320, textAlign:"center", boxShadow:"0 10px 30px rgba(0,0,0,0.3)" }}>
+            <h3 className={"text-2xl"} style={{ fontWeight:"bold", marginBottom:12 }}>Hardest spots</h3>
+            <p style={{ marginBottom:12 }}>
+              {waitReport.count} stops · {waitReport.average.toFixed(1)}s on average
+            </p>
+            <ol style={{ textAlign:"left", marginBottom:16 }}>
+              {waitReport.hardest.map((w, i) => (
+                <li key={i}>
+                  <button className={"custom-button"} style={{ margin: "2px 0" }}
+                          onClick={() => { setWaitReport(null); handleScrubStart(); handleScrubEnd(Math.max(0, w.start - 2)) }}>
+                    {formatTime(w.start)}
+                  </button>
+                  {" "}{w.pitches.map(noteName).join(" ")} took {w.seconds.toFixed(1)}s
+                </li>
+              ))}
+            </ol>
+            <button className={"custom-button"} onClick={() => setWaitReport(null)}>Close</button>
+          </div>
+        </div>
+      )}
+
+      {/* Hand assignment */}
+      {chart && (
+        <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+          <span title="Click a note to select it, shift-click to select several">
+            Hands ({chart.notes[0]?.autoSource === "staff" ? "from staves" : "guessed"}
+            {Object.keys(handOverrides).length > 0 && `, ${Object.keys(handOverrides).length} fixed`}):
+          </span>
+          <span>{selectedNotes.size ? `${selectedNotes.size} selected` : "click notes to select"}</span>
+          <button className={"custom-button"} onClick={() => setHand(selectedNotes, "L")} disabled={!selectedNotes.size}>Left</button>
+          <button className={"custom-button"} onClick={() => setHand(selectedNotes, "R")} disabled={!selectedNotes.size}>Right</button>
+          <button className={"custom-button"} onClick={() => setHand(selectedNotes, null)} disabled={!selectedNotes.size}>Auto</button>
+          {hasLoop && (
+            <>
+              <div style={{ width: 1, height: 24, background: spiderMode ? "#302a55" : "#ddd", margin: "0 8px" }} />
+              <span>A–B:</span>
+              <button className={"custom-button"} onClick={() => setHand(loopRangeNotes(), "L")}>Left</button>
+              <button className={"custom-button"} onClick={() => setHand(loopRangeNotes(), "R")}>Right</button>
+              <button className={"custom-button"} onClick={() => setHand(loopRangeNotes(), null)}>Auto</button>
+            </>
+          )}
+          {!songId && Object.keys(handOverrides).length > 0 && <span style={{ opacity: 0.7 }}>(not saved: song isn't in the library)</span>}
+          {handSaveError && <span style={{ color: "#dc2626" }}>{handSaveError}</span>}
+        </div>
+      )}
+
+      {/* Note editor */}
+      {chart && (
+        <div style={{ display:"flex", gap:12, justifyContent:"center", alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+          <button className={"custom-button"} onClick={() => setEditMode(m => !m)}
+                  title="Drag notes or their ends, double-click empty space to add one, Delete removes the selection">
+            {editMode ? "Edit notes: ON" : "Edit notes: OFF"}
+          </button>
+          {editMode && (
+            <>
+              <label>
+                Snap{" "}
+                <select value={editGridSize} onChange={e => setEditGridSize(+e.target.value)}>
+                  {EDIT_GRIDS.map(([size, label]) => <option key={size} value={size}>{label}</option>)}
+                </select>
+              </label>
+              <label style={{ display:"flex", alignItems:"center", gap:6 }} title="Velocity of the selected notes">
+                Velocity
+                <input type="range" min="1" max="127" step="1" value={selectedVelocity ?? 80}
+                       onChange={e => changeVelocity(+e.target.value)} disabled={!selectedNotes.size} />
+                <span style={{ minWidth: 28 }}>{selectedVelocity ?? "–"}</span>
+              </label>
+              <button className={"custom-button"} onClick={deleteSelected} disabled={!selectedNotes.size}>Delete</button>
+              <button className={"custom-button"} onClick={undoEdit} disabled={!edits?.past.length}>Undo</button>
+              <button className={"custom-button"} onClick={redoEdit} disabled={!edits?.future.length}>Redo</button>
+            </>
+          )}
+          {edits && (
+            <>
+              <button className={"custom-button"} onClick={revertEdits}>Revert edits</button>
+              {onRenderTutorial && (
+                <button className={"custom-button"} onClick={() => onRenderTutorial(editedMidi())}>Render tutorial</button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {summary && (
+        <div style={{ position:"fixed", inset:0, background:"rgba(0,0,0,0.4)", display:"flex", alignItems:"center", justifyContent:"center", zIndex:20 }}>
+          <div style={{ background: spiderMode ? "#17142a" : "#fff", borderRadius:16, padding:24, minWidth:280, textAlign:"center", boxShadow:"0 10px 30px rgba(0,0,0,0.3)" }}>
+            <h3 className={"text-2xl"} style={{ fontWeight:"bold", marginBottom:12 }}>Song complete</h3>
+            <p style={{ fontSize:40, fontWeight:"bold" }}>{summary.accuracy}%</p>
+            <p>{summary.perfect} perfect · {summary.good} good · {summary.miss} miss</p>
+            <p style={{ marginBottom:16 }}>Best combo {summary.maxCombo} of {summary.judged} notes</p>
+            <button className={"custom-button"} onClick={() => setSummary(null)}>Close</button>
+          </div>
+        </div>
+      )}
+
+      {chart && (
+        <div style={{ display:"flex", gap:6, justifyContent:"center", marginBottom:10 }}>
+          {[["roll", "Piano roll"], ["score", "Sheet music"], ["both", "Both"]].map(([id, label]) => (
+            <button key={id} className={"custom-button"} onClick={() => setView(id)}
+                    style={{ opacity: view === id ? 1 : 0.6 }}>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {notation && (
+        <Score
+          score={notation}
+          getPosition={getPosition}
+          width={(108 - 21 + 1) * keyW}
+          maxHeight={view === "both" ? 480 : "75vh"}
+          spiderMode={spiderMode}
+        />
+      )}
+
       {chart
-        ? <PianoRoll
+        ? view !== "score" && <PianoRoll
             chart={chart}
             rate={rate}
             pps={pps}
             keyW={keyW}
             keyboardH={keyboardH}
-            dropTime={dropTime}
+            dropTime={preRoll}
             musicOffset={musicOffset}
             getTime={getTime}
             useSustainLength={true}
@@ -327,6 +1406,15 @@ export default function Visualizer({ midi }) {
             showWebs={showWebs}
             showSpiders={showSpiders}
             showHero={showHero}
+
+            playerRef={playerRef}
+            selectedNotes={selectedNotes}
+            trackSettings={trackSettings}
+            onNoteClick={handleNoteClick}
+            editMode={editMode}
+            snapTime={grid?.snap}
+            onDragNotes={handleDragNotes}
+            onAddNote={handleAddNote}
           />
         : <p style={{ textAlign: "center", opacity: 0.7 }}>
             Choose a <code>.mid</code> file to start.
@@ -0,0 +1,191 @@
+// src/audioExport.js
+// The chart as an audio file, rendered in the browser: Tone.Offline plays it
+// with the chosen instrument exactly as playback would (the sampled piano takes
+// the CC64 pedal windows, synths hold notes to their pedal-aware end from
+// midiUtils.js), then the mix is normalized to a loudness target and written as
+// WAV, MP3 or OGG. The server's /mid-to-audio does the same with a SoundFont.
+
+import * as Tone from "tone"
+import { createInstrument } from "./instruments"
+import { isTrackAudible } from "./TrackPanel"
+
+export const AUDIO_FORMATS = [
+  ["wav", "WAV"],
+  ["mp3", "MP3"],
+  ["ogg", "OGG"],
+]
+
+const MIME = { wav: "audio/wav", mp3: "audio/mpeg", ogg: "audio/ogg" }
+
+const SAMPLE_RATE = 48000
+const TAIL = 1.5       // seconds after the last note rings out
+const CEILING = -1     // dBFS the peaks are kept under when normalizing
+
+// The notes the Transport would play, each at lead + its start
+function scheduleChart(inst, chart, trackSettings, lead) {
+  for (const n of chart.notes) {
+    if (!isTrackAudible(n.track, trackSettings)) continue
+    const end = inst.realPedal ? n.end : (n.audibleEnd ?? n.end)
+    inst.noteOn(n.pitch, lead + n.start, n.velocity / 127)
+    inst.noteOff(n.pitch, lead + Math.max(end, n.start + 0.01))
+  }
+  if (inst.realPedal) {
+    for (const w of chart.pedals) {
+      inst.pedalDown(lead + w.start)
+      inst.pedalUp(lead + w.end)
+    }
+  }
+}
+
+/**
+ * The chart played by a fresh instrument (see instruments.js) in an offline
+ * context, starting `lead` seconds in. Resolves to a stereo AudioBuffer.
+ */
+export async function renderChartAudio(chart, trackSettings, instrumentId, lead, duration, sampleRate = SAMPLE_RATE) {
+  const buffer = await Tone.Offline(async () => {
+    const inst = await createInstrument(instrumentId)
+    scheduleChart(inst, chart, trackSettings, lead)
+  }, duration, 2, sampleRate)
+  return buffer.get()
+}
+
+// ---- Loudness (ITU-R BS.1770: K-weighting, 400 ms blocks, two gates) ----
+
+// The two K-weighting stages for any sample rate, derived as in libebur128
+// (matches the coefficients BS.1770 gives for 48 kHz)
+function kWeightingFilters(fs) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / fs)
+  let Q = 0.7071752369554196
+  const Vh = 10 ** (3.999843853973347 / 20)
+  const Vb = Vh ** 0.4996667741545416
+  const shelf = {
+    b: [Vh + Vb * K / Q + K * K, 2 * (K * K - Vh), Vh - Vb * K / Q + K * K],
+    a: [1 + K / Q + K * K, 2 * (K * K - 1), 1 - K / Q + K * K],
+  }
+  K = Math.tan(Math.PI * 38.13547087602444 / fs)
+  Q = 0.5003270373238773
+  const highPass = {
+    b: [1, -2, 1],
+    a: [1, 2 * (K * K - 1) / (1 + K / Q + K * K), (1 - K / Q + K * K) / (1 + K / Q + K * K)],
+  }
+  return [shelf, highPass]
+}
+
+function biquad(samples, { b, a }) {
+  const out = new Float32Array(samples.length)
+  const [b0, b1, b2] = b.map(v => v / a[0])
+  const [a1, a2] = [a[1] / a[0], a[2] / a[0]]
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i]
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2
+    out[i] = y
+    x2 = x1; x1 = x
+    y2 = y1; y1 = y
+  }
+  return out
+}
+
+/** Integrated loudness of the channels in LUFS (-Infinity for silence). */
+export function integratedLoudness(channels, sampleRate) {
+  const filters = kWeightingFilters(sampleRate)
+  const weighted = channels.map(ch => filters.reduce(biquad, ch))
+  const block = Math.round(0.4 * sampleRate)
+  const step = Math.round(0.1 * sampleRate)
+
+  // Mean square of each 400 ms block (75% overlap), summed over channels
+  const powers = []
+  for (let start = 0; start + block <= weighted[0].length; start += step) {
+    let sum = 0
+    for (const ch of weighted) {
+      for (let i = start; i < start + block; i++) sum += ch[i] * ch[i]
+    }
+    powers.push(sum / block)
+  }
+  const lufs = (p) => -0.691 + 10 * Math.log10(p)
+  const mean = (ps) => ps.reduce((s, p) => s + p, 0) / ps.length
+
+  const audible = powers.filter(p => lufs(p) > -70)
+  if (!audible.length) return -Infinity
+  const relativeGate = lufs(mean(audible)) - 10
+  return lufs(mean(audible.filter(p => lufs(p) > relativeGate)))
+}
+
+// Channels scaled to `target` LUFS, or less if the peaks would pass CEILING
+function normalizeChannels(channels, sampleRate, target) {
+  const loudness = integratedLoudness(channels, sampleRate)
+  if (!Number.isFinite(loudness)) return channels
+  const peak = Math.max(...channels.map(ch => ch.reduce((m, v) => Math.max(m, Math.abs(v)), 0)))
+  const gain = Math.min(10 ** ((target - loudness) / 20), 10 ** (CEILING / 20) / peak)
+  return channels.map(ch => ch.map(v => v * gain))
+}
+
+// ---- Encoding ----
+
+function encodeWav(channels, sampleRate) {
+  const frames = channels[0].length
+  const view = new DataView(new ArrayBuffer(44 + frames * channels.length * 2))
+  const text = (offset, s) => [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)))
+  text(0, "RIFF")
+  view.setUint32(4, 36 + frames * channels.length * 2, true)
+  text(8, "WAVE")
+  text(12, "fmt ")
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, channels.length, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * channels.length * 2, true)
+  view.setUint16(32, channels.length * 2, true)
+  view.setUint16(34, 16, true)
+  text(36, "data")
+  view.setUint32(40, frames * channels.length * 2, true)
+  let offset = 44
+  for (let i = 0; i < frames; i++) {
+    for (const ch of channels) {
+      const v = Math.max(-1, Math.min(1, ch[i]))
+      view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true)
+      offset += 2
+    }
+  }
+  return [view.buffer]
+}
+
+// LAME / libvorbis compiled to WebAssembly, loaded on first use
+async function encodeCompressed(format, channels, sampleRate) {
+  const { createMp3Encoder, createOggEncoder } = await import("wasm-media-encoders")
+  const encoder = format === "mp3" ? await createMp3Encoder() : await createOggEncoder()
+  encoder.configure({ sampleRate, channels: channels.length, vbrQuality: format === "mp3" ? 2 : 6 })
+  // The encoder owns the arrays it returns, so each is copied
+  const parts = []
+  for (let i = 0; i < channels[0].length; i += sampleRate) {
+    parts.push(encoder.encode(channels.map(ch => ch.subarray(i, i + sampleRate))).slice())
+  }
+  parts.push(encoder.finalize().slice())
+  return parts
+}
+
+/**
+ * Render the chart as an audio file.
+ *   chart, trackSettings: what the Visualizer plays (edits and muted tracks included)
+ *   options:
+ *     format        "wav" | "mp3" | "ogg"
+ *     instrumentId  see instruments.js
+ *     normalize     scale to `loudness` LUFS (peaks kept under -1 dBFS)
+ *     onProgress({ stage: "audio" | "encoding" })
+ * Resolves to a Blob of the finished file.
+ */
+export async function exportAudio(chart, trackSettings, options) {
+  const { format, instrumentId, normalize = true, loudness = -16, onProgress } = options
+  const end = chart.notes
+    .filter(n => isTrackAudible(n.track, trackSettings))
+    .reduce((last, n) => Math.max(last, n.audibleEnd ?? n.end), 0)
+
+  onProgress?.({ stage: "audio" })
+  const audioBuffer = await renderChartAudio(chart, trackSettings, instrumentId, 0, end + TAIL)
+  onProgress?.({ stage: "encoding" })
+
+  let channels = [0, 1].map(i => audioBuffer.getChannelData(Math.min(i, audioBuffer.numberOfChannels - 1)))
+  if (normalize) channels = normalizeChannels(channels, SAMPLE_RATE, loudness)
+  const parts = format === "wav" ? encodeWav(channels, SAMPLE_RATE) : await encodeCompressed(format, channels, SAMPLE_RATE)
+  return new Blob(parts, { type: MIME[format] })
+}
@@ -0,0 +1,134 @@
+// src/hands.js
+// Decide which hand plays each note.
+//
+//  1. Two staves in the MIDI (two tracks, or two channels in one track):
+//     the lower-sounding staff is the left hand.
+//  2. Otherwise a voice-separation pass over the onsets, splitting each
+//     chord where it is cheapest for two hands given how far each hand can
+//     reach, where each hand just was, and the notes it is still holding.
+//  3. The user's overrides ("<start>:<pitch>" -> "L"/"R") win over both.
+//
+// Notes get hand ("L"/"R") and handSource ("staff" | "auto" | "user").
+// Percussion notes (channel 10) are left out of the analysis.
+
+const CHORD_TOLERANCE = 0.03 // seconds; onsets closer than this form one chord
+const MAX_SPAN = 14          // semitones one hand covers comfortably
+const SPAN_PENALTY = 8       // cost per semitone beyond MAX_SPAN
+const HOME = { L: 48, R: 72 } // where each hand rests by default (C3, C5)
+const HOME_PULL = 0.15       // weak bias towards HOME, keeps idle hands sane
+
+// Stable id for a note across reloads of the same MIDI. Notes moved by the
+// cleanup pass keep their start in the file as sourceStart, so an override
+// still finds them however the cleanup options are set.
+export function handKey(note) {
+  return `${(note.sourceStart ?? note.start).toFixed(3)}:${note.pitch}`
+}
+
+function staffKey(note) {
+  return `${note.track ?? 0}:${note.channel ?? 0}`
+}
+
+// Left/right by staff when the file has exactly two; null otherwise
+function handsFromStaves(notes) {
+  const staves = new Map()
+  for (const n of notes) {
+    if (n.percussion) continue
+    const key = staffKey(n)
+    if (!staves.has(key)) staves.set(key, { sum: 0, count: 0 })
+    const s = staves.get(key)
+    s.sum += n.pitch
+    s.count++
+  }
+  if (staves.size !== 2) return null
+  const [[keyA, a], [keyB, b]] = [...staves]
+  const leftKey = a.sum / a.count <= b.sum / b.count ? keyA : keyB
+  return notes.map(n => !n.percussion && staffKey(n) === leftKey ? "L" : "R")
+}
+
+function handCost(pitches, held, pos, hand) {
+  if (pitches.length === 0) return 0
+  const all = held.length ? pitches.concat(held) : pitches
+  const span = Math.max(...all) - Math.min(...all)
+  // Every note is charged its distance from where the hand was
+  let cost = Math.max(0, span - MAX_SPAN) * SPAN_PENALTY
+  for (const p of pitches) {
+    cost += Math.abs(p - (pos ?? HOME[hand])) + Math.abs(p - HOME[hand]) * HOME_PULL
+  }
+  return cost
+}
+
+// Voice separation for single-staff files (transcriptions)
+function handsFromHeuristic(notes) {
+  const hands = new Array(notes.length).fill("R")
+  const order = notes.flatMap((n, i) => n.percussion ? [] : [i]).sort((a, b) => notes[a].start - notes[b].start || notes[a].pitch - notes[b].pitch)
+  const pos = { L: null, R: null }
+  const holding = { L: [], R: [] } // indexes of notes still sounding
+
+  for (let i = 0; i < order.length;) {
+    // Next chord: everything starting within CHORD_TOLERANCE of its first note
+    const t0 = notes[order[i]].start
+    let j = i
+    while (j < order.length && notes[order[j]].start - t0 <= CHORD_TOLERANCE) j++
+    const chord = order.slice(i, j).sort((a, b) => notes[a].pitch - notes[b].pitch)
+    const pitches = chord.map(k => notes[k].pitch)
+
+    for (const h of ["L", "R"]) holding[h] = holding[h].filter(k => notes[k].end > t0 + CHORD_TOLERANCE)
+    const held = {
+      L: holding.L.map(k => notes[k].pitch),
+      R: holding.R.map(k => notes[k].pitch),
+    }
+
+    // Left hand takes the lowest `split` notes, the right hand the rest
+    let best = 0
+    let bestCost = Infinity
+    for (let split = 0; split <= pitches.length; split++) {
+      const cost = handCost(pitches.slice(0, split), held.L, pos.L, "L")
+        + handCost(pitches.slice(split), held.R, pos.R, "R")
+      if (cost < bestCost) { bestCost = cost; best = split }
+    }
+
+    chord.forEach((k, idx) => {
+      const hand = idx < best ? "L" : "R"
+      hands[k] = hand
+      holding[hand].push(k)
+    })
+    for (const [h, ps] of [["L", pitches.slice(0, best)], ["R", pitches.slice(best)]]) {
+      if (!ps.length) continue
+      const center = ps.reduce((a, b) => a + b, 0) / ps.length
+      pos[h] = pos[h] == null ? center : pos[h] * 0.5 + center * 0.5
+    }
+    i = j
+  }
+  return hands
+}
+
+/**
+ * notes: [{ pitch, start, end, track?, channel? }]
+ * overrides: { "<start>:<pitch>": "L" | "R" }
+ * returns a new array (same order) with hand and handSource set
+ */
+export function assignHands(notes, overrides = {}) {
+  const fromStaves = handsFromStaves(notes)
+  const hands = fromStaves || handsFromHeuristic(notes)
+  const source = fromStaves ? "staff" : "auto"
+  return notes.map((n, i) => {
+    const user = overrides[handKey(n)]
+    const auto = { autoHand: hands[i], autoSource: source }
+    return user
+      ? { ...n, hand: user, handSource: "user", ...auto }
+      : { ...n, hand: hands[i], handSource: source, ...auto }
+  })
+}
+
+/**
+ * Apply overrides to notes that already went through assignHands (cheap,
+ * no re-analysis). Notes without an override go back to their automatic hand.
+ */
+export function applyHandOverrides(notes, overrides) {
+  return notes.map(n => {
+    const user = overrides[handKey(n)]
+    if (user) return n.hand === user && n.handSource === "user" ? n : { ...n, hand: user, handSource: "user" }
+    if (n.handSource !== "user") return n
+    return { ...n, hand: n.autoHand, handSource: n.autoSource }
+  })
+}
@@ -0,0 +1,101 @@
+// src/instruments.js
+// Playback instruments behind one small interface, so the Visualizer can
+// schedule notes without caring whether it drives samples or a synth.
+//
+//   inst.noteOn(pitch, time, velocity)   velocity 0..1
+//   inst.noteOff(pitch, time)
+//   inst.pedalDown(time) / inst.pedalUp(time)
+//   inst.releaseAll()                    silence everything now (stop/seek)
+//   inst.realPedal                       true if the instrument sustains on
+//                                        pedal events itself; otherwise note
+//                                        lengths must be stretched (audibleEnd)
+
+import * as Tone from "tone"
+// Deep import: the package index also pulls in its MidiInput, which needs
+// Node's "events" module and breaks the browser build
+import { Piano } from "@tonejs/piano/build/piano/Piano"
+import { playbackMix } from "./originalAudio"
+
+export const INSTRUMENTS = [
+  { id: "piano", label: "Grand piano" },
+  { id: "synth", label: "Synth" },
+  { id: "epiano", label: "Electric piano" },
+  { id: "organ", label: "Organ" },
+  { id: "strings", label: "Strings" },
+]
+
+export const DEFAULT_INSTRUMENT = "piano"
+
+// Salamander Grand Piano (hosted samples), 4 velocity layers
+function createPiano(output) {
+  const piano = new Piano({ velocities: 4, release: true, pedal: true }).connect(output)
+  return piano.load().then(() => ({
+    realPedal: true,
+    noteOn: (pitch, time, velocity) => piano.keyDown({ midi: pitch, time, velocity }),
+    noteOff: (pitch, time) => piano.keyUp({ midi: pitch, time }),
+    pedalDown: (time) => piano.pedalDown({ time }),
+    pedalUp: (time) => piano.pedalUp({ time }),
+    releaseAll: () => { piano.pedalUp(); piano.stopAll() },
+  }))
+}
+
+const SYNTH_PRESETS = {
+  synth: () => new Tone.PolySynth(Tone.Synth),
+  epiano: () => new Tone.PolySynth(Tone.FMSynth, {
+    harmonicity: 3,
+    modulationIndex: 10,
+    envelope: { attack: 0.001, decay: 1.2, sustain: 0.2, release: 0.8 },
+    modulationEnvelope: { attack: 0.002, decay: 0.4, sustain: 0, release: 0.4 },
+  }),
+  organ: () => new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: "fatsine", count: 3, spread: 12 },
+    envelope: { attack: 0.01, decay: 0, sustain: 1, release: 0.08 },
+  }),
+  strings: () => new Tone.PolySynth(Tone.AMSynth, {
+    harmonicity: 1.5,
+    oscillator: { type: "fatsawtooth" },
+    envelope: { attack: 0.25, decay: 0.1, sustain: 0.9, release: 1.2 },
+  }),
+}
+
+// Synths have no sustain pedal; the Visualizer stretches notes instead
+function createSynth(id, output) {
+  const synth = SYNTH_PRESETS[id]().connect(output)
+  synth.maxPolyphony = 64
+  synth.volume.value = -8
+  return Promise.resolve({
+    realPedal: false,
+    noteOn: (pitch, time, velocity) => synth.triggerAttack(Tone.Frequency(pitch, "midi"), time, velocity),
+    noteOff: (pitch, time) => synth.triggerRelease(Tone.Frequency(pitch, "midi"), time),
+    pedalDown: () => {},
+    pedalUp: () => {},
+    releaseAll: () => synth.releaseAll(),
+  })
+}
+
+/**
+ * A new instrument in the current Tone context, not shared with playback:
+ * the video export builds one inside Tone.Offline. It plays into `output`.
+ */
+export function createInstrument(id, output = Tone.getDestination()) {
+  return (id === "piano" ? createPiano(output) : createSynth(id, output))
+    .then(inst => ({ id, ...inst }))
+}
+
+// Instruments stay alive once loaded, so switching back costs nothing
+const loaded = new Map()
+
+/**
+ * Resolve to the instrument with this id, loading it on first use.
+ * The piano downloads its samples, which can take a few seconds.
+ * Playback instruments sit on the transcription side of the original-audio
+ * crossfade (originalAudio.js).
+ */
+export function loadInstrument(id) {
+  if (!loaded.has(id)) {
+    const promise = createInstrument(id, playbackMix().b)
+    promise.catch(() => loaded.delete(id)) // allow a retry after a failed download
+    loaded.set(id, promise)
+  }
+  return loaded.get(id)
+}
@@ -0,0 +1,79 @@
+// src/jobs.js
+// Client for the API's job queue: start a conversion, follow its progress stream, fetch the result.
+
+const POLL_MS = 1000
+
+// Human readable labels for job states reported by the API
+export const STAGE_LABELS = {
+  queued: "Waiting in queue",
+  downloading: "Downloading audio",
+  converting: "Converting audio",
+  separating: "Separating instruments",
+  transcribing: "Transcribing to MIDI",
+  tracking: "Finding the beat",
+  cleaning: "Cleaning up notes",
+  rendering: "Rendering tutorial video",
+  synthesizing: "Rendering audio",
+  engraving: "Engraving PDF",
+  done: "Done",
+  failed: "Failed",
+}
+
+const isFinished = (job) => job.state === "done" || job.state === "failed"
+
+// Fallback when the event stream is unavailable (e.g. a proxy that strips SSE)
+async function pollJob(job, onUpdate) {
+  while (!isFinished(job)) {
+    await new Promise(r => setTimeout(r, POLL_MS))
+    const poll = await fetch(`/api/jobs/${job.id}`)
+    if (!poll.ok) throw new Error("Lost track of the conversion job")
+    job = await poll.json()
+    onUpdate(job)
+  }
+  return job
+}
+
+/**
+ * Follow GET /jobs/:id/events until the job finishes.
+ * Resolves to the final job status; falls back to polling if the stream breaks.
+ */
+export function followJob(job, onUpdate = () => {}) {
+  if (isFinished(job)) return Promise.resolve(job)
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${job.id}/events`)
+    let last = job
+
+    source.onmessage = (e) => {
+      last = JSON.parse(e.data)
+      onUpdate(last)
+      if (isFinished(last)) {
+        source.close()
+        resolve(last)
+      }
+    }
+    source.onerror = () => {
+      source.close()
+      pollJob(last, onUpdate).then(resolve, reject)
+    }
+  })
+}
+
+/**
+ * POST to a /jobs/* route, follow the job and resolve to { blob, job }:
+ * the result file and the final job status (job.songId names its library entry).
+ * onUpdate receives every job status ({state, stages, progress, position, ...}).
+ * Rejects with an Error carrying the server's message if the job fails.
+ */
+export async function runJob(path, init = {}, onUpdate = () => {}) {
+  const res = await fetch(path, { method: "POST", ...init })
+  const created = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(created.error || `Request failed (${res.status})`)
+  onUpdate(created)
+
+  const job = await followJob(created, onUpdate)
+  if (job.state === "failed") throw new Error(job.error || "Conversion failed")
+
+  const result = await fetch(`/api/jobs/${job.id}/result`)
+  if (!result.ok) throw new Error("Failed to download the result")
+  return { blob: await result.blob(), job }
+}
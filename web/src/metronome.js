@@ -0,0 +1,26 @@
+// src/metronome.js
+// Click for the metronome and count-in, with its own volume (dB) so it can
+// sit under or over the instrument.
+//
+//   metronome.click(time, accent)   accent = downbeat
+//   metronome.setVolume(db)
+//   metronome.dispose()
+
+import * as Tone from "tone"
+
+export const DEFAULT_METRONOME_VOLUME = -10
+
+export function createMetronome() {
+  const volume = new Tone.Volume(DEFAULT_METRONOME_VOLUME).toDestination()
+  const synth = new Tone.MembraneSynth({
+    pitchDecay: 0.008,
+    octaves: 2,
+    envelope: { attack: 0.001, decay: 0.08, sustain: 0, release: 0.02 },
+  }).connect(volume)
+
+  return {
+    click: (time, accent) => synth.triggerAttackRelease(accent ? "C6" : "G5", 0.03, time, accent ? 1 : 0.6),
+    setVolume: (db) => { volume.volume.value = db },
+    dispose: () => { synth.dispose(); volume.dispose() },
+  }
+}
@@ -0,0 +1,71 @@
+// src/midiInput.js
+// Note input for play-along: connected Web MIDI keyboards, plus a computer
+// keyboard fallback for trying it out without hardware.
+//
+// Every source reports through the same handlers:
+//   { onNoteOn(pitch, velocity0to1), onNoteOff(pitch) }
+// and each listen* function returns an unsubscribe function.
+
+export const COMPUTER_KEYBOARD = "computer"
+
+// Tracker layout: Z../ plays chromatically from C3 and Q..] from C4. In each
+// pair of rows the lower one holds the white keys, the one above the black keys.
+const QWERTY_ROWS = [
+  { base: 48, keys: ["z", "s", "x", "d", "c", "v", "g", "b", "h", "n", "j", "m", ",", "l", ".", ";", "/"] },
+  { base: 60, keys: ["q", "2", "w", "3", "e", "r", "5", "t", "6", "y", "7", "u", "i", "9", "o", "0", "p", "[", "=", "]"] },
+]
+
+export const QWERTY_MAP = new Map(
+  QWERTY_ROWS.flatMap(row => row.keys.map((key, i) => [key, row.base + i]))
+)
+
+export function isMidiSupported() {
+  return typeof navigator !== "undefined" && typeof navigator.requestMIDIAccess === "function"
+}
+
+/**
+ * Ask for Web MIDI access. onChange(inputs) is called now and whenever a
+ * device is plugged in or out, with [{ id, name }].
+ * Resolves to the MIDIAccess (needed by listenToMidiInput).
+ */
+export async function requestMidiAccess(onChange) {
+  const access = await navigator.requestMIDIAccess()
+  const report = () => onChange([...access.inputs.values()].map(i => ({ id: i.id, name: i.name || "MIDI input" })))
+  access.onstatechange = report
+  report()
+  return access
+}
+
+export function listenToMidiInput(access, inputId, { onNoteOn, onNoteOff }) {
+  const input = access.inputs.get(inputId)
+  if (!input) return () => {}
+  const onMessage = (e) => {
+    const [status, pitch, velocity] = e.data
+    const type = status & 0xf0
+    // Note-on with velocity 0 is a note-off by convention
+    if (type === 0x90 && velocity > 0) onNoteOn(pitch, velocity / 127)
+    else if (type === 0x80 || type === 0x90) onNoteOff(pitch)
+  }
+  input.addEventListener("midimessage", onMessage)
+  return () => input.removeEventListener("midimessage", onMessage)
+}
+
+export function listenToComputerKeyboard({ onNoteOn, onNoteOff }) {
+  const typing = (e) => e.target instanceof HTMLElement && e.target.closest("input, textarea, select, [contenteditable]")
+  const down = (e) => {
+    const pitch = QWERTY_MAP.get(e.key.toLowerCase())
+    if (pitch == null || e.repeat || e.ctrlKey || e.metaKey || e.altKey || typing(e)) return
+    e.preventDefault()
+    onNoteOn(pitch, 0.8)
+  }
+  const up = (e) => {
+    const pitch = QWERTY_MAP.get(e.key.toLowerCase())
+    if (pitch != null) onNoteOff(pitch)
+  }
+  window.addEventListener("keydown", down)
+  window.addEventListener("keyup", up)
+  return () => {
+    window.removeEventListener("keydown", down)
+    window.removeEventListener("keyup", up)
+  }
+}
@@ -1,5 +1,39 @@
 // src/midiUtils.js
 // Build sustain (CC64) windows per MIDI channel and extend notes to their "audible end".
+// No imports: the API's tutorial renderer loads this module under Node too.
+
+/**
+ * Notes of a parsed @tonejs/midi file, sorted by start.
+ * returns: Array<{pitch,start,end,velocity (0..127),track,channel,percussion}>
+ */
+export function midiNotes(midiData) {
+  return midiData.tracks.flatMap((tr, trackIndex) =>
+    tr.notes.map(n => ({
+      pitch: n.midi,
+      start: n.time,
+      end: n.time + n.duration,
+      velocity: Math.round(n.velocity * 127),
+      track: trackIndex,
+      channel: tr.channel ?? 0,
+      percussion: tr.instrument.percussion,
+    }))
+  ).sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Sustain pedal (CC64) events of every track, for buildPedalWindows.
+ * returns: Array<{time:number,value:number,channel:number}>
+ */
+export function midiPedals(midiData) {
+  return midiData.tracks.flatMap(tr => {
+    const arr = tr.controlChanges?.[64] || []
+    return arr.map(cc => ({
+      time: cc.time,
+      value: typeof cc.value === "number" ? cc.value : (cc.value ?? 0),
+      channel: tr.channel ?? 0,
+    }))
+  })
+}
 
 /**
  * pedals: [{time: seconds, value: 0..127, channel: number}]
@@ -90,3 +124,260 @@ export function extendNotesWithPedal(notes, pedalWindowsByCh) {
 
   return notes.map(n => ({ ...n, audibleEnd: extendEnd(n) }))
 }
+
+/**
+ * Flatten per-channel sustain windows into one sorted list for a single
+ * instrument, merging overlaps so one channel's pedal-up can't cut another's.
+ * returns: Array<{start:number,end:number}>
+ */
+export function mergePedalWindows(pedalWindowsByCh) {
+  const all = [...pedalWindowsByCh.values()].flat().sort((a,b)=>a.start-b.start)
+  const merged = []
+  for (const w of all) {
+    const last = merged[merged.length - 1]
+    if (last && w.start <= last.end) {
+      last.end = Math.max(last.end, w.end)
+    } else {
+      merged.push({ start: w.start, end: w.end })
+    }
+  }
+  return merged
+}
+
+/**
+ * Group notes that start together (within `tolerance` seconds) into onsets,
+ * keeping only the given hands ("L", "R").
+ * returns: Array<{start:number, pitches:number[]}> sorted by start
+ */
+export function onsetGroups(notes, hands = ["L", "R"], tolerance = 0.03) {
+  const groups = []
+  const sorted = notes.filter(n => hands.includes(n.hand)).sort((a,b)=>a.start-b.start)
+  for (const n of sorted) {
+    const last = groups[groups.length - 1]
+    if (last && n.start - last.start <= tolerance) {
+      if (!last.pitches.includes(n.pitch)) last.pitches.push(n.pitch)
+    } else {
+      groups.push({ start: n.start, pitches: [n.pitch] })
+    }
+  }
+  return groups
+}
+
+const NOTE_NAMES = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"]
+
+// 60 -> "C4"
+export function noteName(pitch) {
+  return NOTE_NAMES[pitch % 12] + (Math.floor(pitch / 12) - 1)
+}
+
+// ---- Cleanup of transcribed notes ----
+// Mirrors api/cleanup_midi.py, which runs the same pass on the server after
+// basic-pitch, so both produce the same notes from the same options.
+
+export const CLEANUP_DEFAULTS = {
+  grid: 0,                 // grid lines per beat (4 = 16ths, 3 = 8th triplets); 0 = don't quantize
+  strength: 1,             // 0..1: how far notes move towards the grid
+  swing: 0,                // 0..0.5 of a grid step: delays every other grid line
+  minDuration: 0,          // ms; shorter notes are dropped
+  minVelocity: 0,          // 0..127; quieter notes are dropped
+  mergeGap: 0,             // ms; same-pitch fragments closer than this become one note
+  octaveCorrection: false, // drop octave-up harmonics sounding with a louder fundamental
+}
+
+const OCTAVE_ONSET_TOLERANCE = 0.05 // seconds
+const OCTAVE_VELOCITY_RATIO = 0.8   // a harmonic is quieter than this share of its fundamental
+
+function byTrackPitch(notes) {
+  const groups = new Map()
+  for (const n of notes) {
+    const key = (n.track ?? 0) + ":" + n.pitch
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(n)
+  }
+  for (const arr of groups.values()) arr.sort((a,b)=>a.start-b.start)
+  return [...groups.values()]
+}
+
+// basic-pitch's usual octave error: the 2nd harmonic picked up as its own note
+function dropOctaveHarmonics(notes) {
+  const sorted = [...notes].sort((a,b)=>a.start-b.start)
+  return sorted.filter((n, i) => {
+    for (let j = i - 1; j >= 0 && n.start - sorted[j].start <= OCTAVE_ONSET_TOLERANCE; j--) {
+      if (isFundamentalOf(sorted[j], n)) return false
+    }
+    for (let j = i + 1; j < sorted.length && sorted[j].start - n.start <= OCTAVE_ONSET_TOLERANCE; j++) {
+      if (isFundamentalOf(sorted[j], n)) return false
+    }
+    return true
+  })
+}
+
+function isFundamentalOf(low, high) {
+  return low.pitch === high.pitch - 12
+    && (low.track ?? 0) === (high.track ?? 0)
+    && low.end >= high.end - OCTAVE_ONSET_TOLERANCE
+    && high.velocity < low.velocity * OCTAVE_VELOCITY_RATIO
+}
+
+// Overlapping same-pitch notes, or ones less than gap seconds apart, become one
+function mergeFragments(notes, gap) {
+  const merged = []
+  for (const arr of byTrackPitch(notes)) {
+    let last = null
+    for (const n of arr) {
+      if (last && (n.start < last.end || n.start - last.end < gap)) {
+        last.end = Math.max(last.end, n.end)
+        last.velocity = Math.max(last.velocity, n.velocity)
+      } else {
+        last = { ...n }
+        merged.push(last)
+      }
+    }
+  }
+  return merged
+}
+
+// Quantized repeats can overlap the next strike of the same key: cut them there
+function trimOverlaps(notes) {
+  const trimmed = []
+  for (const arr of byTrackPitch(notes)) {
+    arr.forEach((n, i) => {
+      const next = arr[i + 1]
+      if (next && next.start <= n.start) return // same key twice on one grid line
+      trimmed.push(next && next.start < n.end ? { ...n, end: next.start } : n)
+    })
+  }
+  return trimmed
+}
+
+// Seconds <-> beats along the tempo map (unrounded, unlike Header.secondsToTicks)
+export function tempoMap(header) {
+  const tempos = header.tempos.length ? header.tempos : [{ ticks: 0, time: 0, bpm: 120 }]
+  const at = (key, value) => {
+    let i = 0
+    while (i + 1 < tempos.length && tempos[i + 1][key] <= value) i++
+    return tempos[i]
+  }
+  return {
+    toBeats: (t) => {
+      const tempo = at("time", t)
+      return tempo.ticks / header.ppq + (t - tempo.time) * tempo.bpm / 60
+    },
+    toSeconds: (beat) => {
+      const tempo = at("ticks", beat * header.ppq)
+      return tempo.time + (beat - tempo.ticks / header.ppq) * 60 / tempo.bpm
+    },
+  }
+}
+
+// Moves t (seconds) towards the nearest (swung) grid line
+function quantizer(tempo, { grid, strength, swing }) {
+  const step = 1 / grid // beats
+  const line = (k) => k * step + (k % 2 ? swing * step : 0)
+  return (t) => {
+    const beat = tempo.toBeats(t)
+    const k = Math.round(beat / step)
+    const best = [k - 1, k, k + 1]
+      .filter(c => c >= 0)
+      .reduce((a, b) => Math.abs(line(b) - beat) < Math.abs(line(a) - beat) ? b : a)
+    return tempo.toSeconds(beat + strength * (line(best) - beat))
+  }
+}
+
+/**
+ * Clean up transcribed notes: velocity and duration filters, octave-harmonic
+ * removal, merging of fragments, then grid quantization.
+ * notes:   [{pitch,start,end,velocity (0..127),track?,percussion?}]
+ * options: see CLEANUP_DEFAULTS
+ * header:  @tonejs/midi Header (tempo map and ppq for the grid)
+ * returns a new array sorted by start; percussion passes through untouched.
+ * Quantized notes keep their original start as sourceStart (see handKey).
+ */
+export function cleanupNotes(notes, options, header) {
+  const o = { ...CLEANUP_DEFAULTS, ...options }
+  let out = notes.filter(n => !n.percussion && n.velocity >= o.minVelocity)
+  if (o.octaveCorrection) out = dropOctaveHarmonics(out)
+  out = mergeFragments(out, o.mergeGap / 1000)
+  out = out.filter(n => (n.end - n.start) * 1000 >= o.minDuration)
+
+  if (o.grid > 0) {
+    const tempo = tempoMap(header)
+    const snap = quantizer(tempo, o)
+    out = trimOverlaps(out.map(n => {
+      const start = snap(n.start)
+      let end = snap(n.end)
+      if (end <= start) end = tempo.toSeconds(tempo.toBeats(start) + 1 / o.grid)
+      return { ...n, start, end, sourceStart: n.sourceStart ?? n.start }
+    }))
+  }
+
+  return out.concat(notes.filter(n => n.percussion)).sort((a,b)=>a.start-b.start || a.pitch-b.pitch)
+}
+
+/**
+ * Write notes back into a copy of the MIDI they came from (same header, tracks
+ * and controllers, new notes). notes carry track and velocity (0..127).
+ * returns: Uint8Array of the new .mid file
+ */
+export function writeMidi(midiData, notes) {
+  const out = new midiData.constructor() // a Midi, without importing @tonejs/midi here
+  out.fromJSON(midiData.toJSON())
+  out.tracks.forEach(tr => { tr.notes = [] })
+  for (const n of notes) {
+    const tr = out.tracks[n.track ?? 0]
+    if (!tr) continue
+    tr.addNote({ midi: n.pitch, time: n.start, duration: n.end - n.start, velocity: n.velocity / 127 })
+  }
+  return out.toArray()
+}
+
+/**
+ * Bar and beat positions from the tempo map and time signatures, up to `until`
+ * seconds (transcriptions get these from the server's beat tracking).
+ * returns: Array<{time:number, bar:number (1-based), beat:number (0 = downbeat)}>
+ */
+export function beatGrid(header, until) {
+  const signatures = header.timeSignatures.length
+    ? [...header.timeSignatures].sort((a,b)=>a.ticks-b.ticks)
+    : [{ ticks: 0, timeSignature: [4, 4] }]
+  const grid = []
+  let bar = 1
+  signatures.forEach((ts, i) => {
+    const [num, den] = ts.timeSignature
+    const beatTicks = header.ppq * 4 / den
+    const endTicks = signatures[i + 1]?.ticks ?? Infinity
+    for (let tick = ts.ticks, beat = 0; tick < endTicks; tick += beatTicks) {
+      const time = header.ticksToSeconds(tick)
+      if (time > until) return
+      grid.push({ time, bar, beat })
+      if (++beat === num) { beat = 0; bar++ }
+    }
+    if (grid.length && grid[grid.length - 1].beat !== num - 1) bar++ // bar cut short by the next signature
+  })
+  return grid
+}
+
+/**
+ * Count-in before playing from `offset`: `bars` bars of clicks at the tempo and
+ * meter found there, leading into the first beat at or after offset.
+ * returns: Array<{time:number (musical seconds, may be negative), accent:boolean}>
+ */
+export function countInClicks(header, offset, bars) {
+  if (bars <= 0) return []
+  const ticks = header.secondsToTicks(offset)
+  const ts = [...header.timeSignatures].sort((a,b)=>a.ticks-b.ticks).filter(t => t.ticks <= ticks).at(-1)
+    ?? { ticks: 0, timeSignature: [4, 4] }
+  const [num, den] = ts.timeSignature
+  const beatTicks = header.ppq * 4 / den
+  const first = Math.ceil((ticks - ts.ticks) / beatTicks - 1e-6) // beat index within the signature
+  const firstBeat = ts.ticks + first * beatTicks
+  const bpm = header.tempos.filter(t => t.ticks <= firstBeat).at(-1)?.bpm ?? 120
+  const beatLen = (60 / bpm) * 4 / den
+  const end = header.ticksToSeconds(firstBeat)
+
+  const clicks = []
+  for (let j = num * bars; j >= 1; j--) {
+    clicks.push({ time: end - j * beatLen, accent: ((first - j) % num + num) % num === 0 }) // in step with the bars
+  }
+  return clicks
+}
@@ -0,0 +1,98 @@
+// src/musicxml.js
+// Writes a score from notation.js as MusicXML (partwise, one piano part on
+// two staves), so exports match what the score view shows: same quantization,
+// same hand split, same spelling. MuseScore does its own beaming.
+
+import { spellPitch } from "./notation"
+
+const TYPES = { w: "whole", h: "half", q: "quarter", 8: "eighth", 16: "16th" }
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]))
+}
+
+function pitchXml(pitch, fifths) {
+  const { step, alter, octave } = spellPitch(pitch, fifths)
+  return `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ""}<octave>${octave}</octave></pitch>`
+}
+
+// One <note> per pitch of the event (rests have none); tiedIn: pitches the
+// previous event on this staff tied into this one
+function eventXml(ev, staff, fifths, tiedIn, wholeMeasureRest) {
+  const voice = staff === 1 ? 1 : 5 // MuseScore numbers the second staff's voices from 5
+  const common = `<duration>${ev.duration}</duration>`
+  const tail = `<voice>${voice}</voice><type>${TYPES[ev.type]}</type>${"<dot/>".repeat(ev.dots)}<staff>${staff}</staff>`
+
+  if (ev.pitches.length === 0) {
+    const rest = wholeMeasureRest ? `<rest measure="yes"/>` : "<rest/>"
+    return [`<note>${rest}${common}<voice>${voice}</voice>${wholeMeasureRest ? "" : `<type>${TYPES[ev.type]}</type>${"<dot/>".repeat(ev.dots)}`}<staff>${staff}</staff></note>`]
+  }
+
+  return ev.pitches.map((pitch, i) => {
+    const ties = []
+    const tied = []
+    if (tiedIn.includes(pitch)) { ties.push(`<tie type="stop"/>`); tied.push(`<tied type="stop"/>`) }
+    if (ev.ties.includes(pitch)) { ties.push(`<tie type="start"/>`); tied.push(`<tied type="start"/>`) }
+    return "<note>"
+      + (i > 0 ? "<chord/>" : "")
+      + pitchXml(pitch, fifths)
+      + common
+      + ties.join("")
+      + tail
+      + (tied.length ? `<notations>${tied.join("")}</notations>` : "")
+      + "</note>"
+  })
+}
+
+// Divisions, staves and clefs open the part; key and time are repeated
+// wherever they change
+function attributesXml(measure, previous, divisions) {
+  const [num, den] = measure.timeSignature
+  const keyChanged = !previous || previous.key.fifths !== measure.key.fifths
+  const timeChanged = !previous || previous.timeSignature.join("/") !== measure.timeSignature.join("/")
+  if (!keyChanged && !timeChanged) return null
+  return `<attributes>`
+    + (previous ? "" : `<divisions>${divisions}</divisions>`)
+    + (keyChanged ? `<key><fifths>${measure.key.fifths}</fifths></key>` : "")
+    + (timeChanged ? `<time><beats>${num}</beats><beat-type>${den}</beat-type></time>` : "")
+    + (previous ? "" : `<staves>2</staves>`
+      + `<clef number="1"><sign>G</sign><line>2</line></clef>`
+      + `<clef number="2"><sign>F</sign><line>4</line></clef>`)
+    + `</attributes>`
+}
+
+/**
+ * score: buildScore() result; title goes in the header.
+ * Returns the MusicXML document as a string.
+ */
+export function scoreToMusicXml(score, { title = "Untitled" } = {}) {
+  const { divisions, measures } = score
+  const tiedIn = { 1: [], 2: [] }
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8" standalone="no"?>`,
+    `<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">`,
+    `<score-partwise version="4.0">`,
+    `<work><work-title>${escapeXml(title)}</work-title></work>`,
+    `<identification><encoding><software>WebScore</software></encoding></identification>`,
+    `<part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>`,
+    `<part id="P1">`,
+  ]
+
+  measures.forEach((measure, i) => {
+    lines.push(`<measure number="${measure.number}">`)
+    const attributes = attributesXml(measure, measures[i - 1], divisions)
+    if (attributes) lines.push(attributes)
+    for (const [staff, events] of [[1, measure.treble], [2, measure.bass]]) {
+      if (staff === 2) lines.push(`<backup><duration>${measure.units}</duration></backup>`)
+      const wholeRest = events.length === 1 && events[0].pitches.length === 0
+      for (const ev of events) {
+        lines.push(...eventXml(ev, staff, measure.key.fifths, tiedIn[staff], wholeRest))
+        tiedIn[staff] = ev.ties
+      }
+    }
+    lines.push(`</measure>`)
+  })
+
+  lines.push(`</part>`, `</score-partwise>`, "")
+  return lines.join("\n")
+}
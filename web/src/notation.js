@@ -0,0 +1,188 @@
+// src/notation.js
+// Turns a chart into a quantized grand-staff score: plain JSON that the
+// score view renders and the MusicXML export can walk.
+//
+// Quantization uses the MIDI header (tempo map, time and key signatures) on a
+// 16th-note grid. Each staff is a single voice: the notes sounding together
+// form a chord, a note held while others come and go is split and tied, and
+// gaps become rests. Events crossing a barline, or with lengths that aren't a
+// single written value, are split and tied too.
+//
+// score = {
+//   divisions,            grid units per quarter note
+//   measures: [{ number, time, start, units (grid units; shorter before a
+//                time signature change), timeSignature: [num, den],
+//                key: { fifths, name }, treble: [event], bass: [event] }]
+// }
+// key.name is as VexFlow wants it ("Bb", "F#", ...); renderers show the time
+// signature and key where they differ from the previous measure.
+// event = { offset, duration, type, dots, pitches: [midi] (empty = rest),
+//           ties: [midi] (pitches tied into the next event), time (seconds) }
+
+export const DIVISIONS = 4
+
+// Written values on the 16th grid, longest first: [units, type, dots]
+const VALUES = [
+  [16, "w", 0], [12, "h", 1], [8, "h", 0], [6, "q", 1],
+  [4, "q", 0], [3, "8", 1], [2, "8", 0], [1, "16", 0],
+]
+
+const MAJOR_KEYS = { "-7": "Cb", "-6": "Gb", "-5": "Db", "-4": "Ab", "-3": "Eb", "-2": "Bb", "-1": "F",
+  "0": "C", "1": "G", "2": "D", "3": "A", "4": "E", "5": "B", "6": "F#", "7": "C#" }
+const MINOR_TONIC_FIFTHS = { Ab: -7, Eb: -6, Bb: -5, F: -4, C: -3, G: -2, D: -1,
+  A: 0, E: 1, B: 2, "F#": 3, "C#": 4, "G#": 5, "D#": 6, "A#": 7 }
+
+const SHARP_STEPS = [["C", 0], ["C", 1], ["D", 0], ["D", 1], ["E", 0], ["F", 0], ["F", 1], ["G", 0], ["G", 1], ["A", 0], ["A", 1], ["B", 0]]
+const FLAT_STEPS  = [["C", 0], ["D", -1], ["D", 0], ["E", -1], ["E", 0], ["F", 0], ["G", -1], ["G", 0], ["A", -1], ["A", 0], ["B", -1], ["B", 0]]
+
+// { step: "C".."B", alter: -1|0|1, octave } — sharps in sharp keys, flats in flat keys
+export function spellPitch(pitch, fifths = 0) {
+  const [step, alter] = (fifths < 0 ? FLAT_STEPS : SHARP_STEPS)[pitch % 12]
+  return { step, alter, octave: Math.floor(pitch / 12) - 1 }
+}
+
+function keyFromSignature(ks) {
+  const fifths = ks.scale === "minor"
+    ? MINOR_TONIC_FIFTHS[ks.key]
+    : Number(Object.keys(MAJOR_KEYS).find(f => MAJOR_KEYS[f] === ks.key))
+  return Number.isFinite(fifths) ? { fifths, name: MAJOR_KEYS[fifths] } : null
+}
+
+// The major key whose scale covers the most sounding time
+function guessKey(notes) {
+  const weight = new Array(12).fill(0)
+  for (const n of notes) weight[n.pitch % 12] += n.end - n.start
+  const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11]
+  let best = { fifths: 0, score: -1 }
+  for (let fifths = -6; fifths <= 6; fifths++) {
+    const tonic = ((fifths * 7) % 12 + 12) % 12
+    const score = MAJOR_SCALE.reduce((sum, d) => sum + weight[(tonic + d) % 12], 0)
+    if (score > best.score + 1e-9 || (Math.abs(score - best.score) < 1e-9 && Math.abs(fifths) < Math.abs(best.fifths))) {
+      best = { fifths, score }
+    }
+  }
+  return { fifths: best.fifths, name: MAJOR_KEYS[best.fifths] }
+}
+
+// [{ unit, key }] from the file's key signatures (the first one holds from the
+// start), or the guessed key for the whole piece if it has none
+function keyChanges(header, notes, unitTicks) {
+  const changes = [...(header.keySignatures ?? [])]
+    .sort((a, b) => a.ticks - b.ticks)
+    .map(ks => ({ unit: Math.round(ks.ticks / unitTicks), key: keyFromSignature(ks) }))
+    .filter(c => c.key)
+  if (!changes.length) return [{ unit: 0, key: guessKey(notes) }]
+  changes[0].unit = 0
+  return changes
+}
+
+// [{ start, units, timeSignature }] covering at least [0, lastUnit), barred
+// like beatGrid: each time signature from its own position (cutting the bar
+// before it short), then whole bars
+function measureLayout(header, unitTicks, lastUnit) {
+  const signatures = [...(header.timeSignatures ?? [])].sort((a, b) => a.ticks - b.ticks)
+  if (!signatures.length || signatures[0].ticks > 0) signatures.unshift({ ticks: 0, timeSignature: [4, 4] })
+  const layout = []
+  signatures.forEach((ts, i) => {
+    const [num, den] = ts.timeSignature
+    const units = Math.round((num * DIVISIONS * 4) / den)
+    const until = i + 1 < signatures.length ? Math.round(signatures[i + 1].ticks / unitTicks) : Infinity
+    for (let start = Math.round(ts.ticks / unitTicks); start < until && (start < lastUnit || !layout.length); start += units) {
+      layout.push({ start, units: Math.min(units, until - start), timeSignature: [num, den] })
+    }
+  })
+  return layout
+}
+
+// Events covering [0, totalUnits) for one staff. A staff is one voice: between
+// any two onsets or releases the sounding pitches form a chord, so a note held
+// under moving ones is cut where they start and end and tied across the cuts
+function staffTimeline(notes, toUnit, totalUnits) {
+  const spans = notes.map(n => {
+    const start = toUnit(n.start)
+    return { start, end: Math.max(start + 1, toUnit(n.end)), pitch: n.pitch }
+  }).sort((a, b) => a.start - b.start)
+  const startsAt = new Map() // unit -> pitches struck there
+  for (const s of spans) startsAt.set(s.start, (startsAt.get(s.start) || new Set()).add(s.pitch))
+  const bounds = [...new Set([0, totalUnits, ...spans.flatMap(s => [s.start, s.end])])]
+    .filter(u => u <= totalUnits)
+    .sort((a, b) => a - b)
+
+  const events = []
+  let active = []
+  let next = 0
+  for (let i = 0; i + 1 < bounds.length; i++) {
+    const [start, end] = [bounds[i], bounds[i + 1]]
+    while (next < spans.length && spans[next].start <= start) active.push(spans[next++])
+    active = active.filter(s => s.end > start)
+    const pitches = [...new Set(active.map(s => s.pitch))].sort((a, b) => a - b)
+    const last = events[events.length - 1]
+    if (!pitches.length && last && !last.pitches.length) {
+      last.end = end
+      continue
+    }
+    // Held on into the next event, and not struck again there
+    const ties = pitches.filter(p => active.some(s => s.pitch === p && s.end > end) && !startsAt.get(end)?.has(p))
+    events.push({ start, end, pitches, ties })
+  }
+  return events
+}
+
+// Largest written value that fits at this position without hiding a beat
+function pickValue(offset, remaining) {
+  for (const [units, type, dots] of VALUES) {
+    const base = dots ? (units * 2) / 3 : units
+    if (units <= remaining && offset % Math.min(base, DIVISIONS) === 0) return [units, type, dots]
+  }
+  return VALUES[VALUES.length - 1]
+}
+
+/**
+ * header: @tonejs/midi Header; notes: chart notes with hand ("L" -> bass).
+ */
+export function buildScore(header, notes) {
+  const unitTicks = header.ppq / DIVISIONS
+  const toUnit = (sec) => Math.round(header.secondsToTicks(sec) / unitTicks)
+  const toSeconds = (unit) => header.ticksToSeconds(unit * unitTicks)
+
+  const lastUnit = notes.reduce((max, n) => Math.max(max, toUnit(n.start) + 1, toUnit(n.end)), 0)
+  const keys = keyChanges(header, notes, unitTicks)
+  const measures = measureLayout(header, unitTicks, lastUnit).map(({ start, units, timeSignature }, i) => ({
+    number: i + 1,
+    time: toSeconds(start),
+    start,
+    units,
+    timeSignature,
+    key: keys.filter(k => k.unit <= start).at(-1).key,
+    treble: [],
+    bass: [],
+  }))
+  const totalUnits = measures.at(-1).start + measures.at(-1).units
+
+  for (const [staff, hand] of [["treble", "R"], ["bass", "L"]]) {
+    const timeline = staffTimeline(notes.filter(n => n.hand === hand), toUnit, totalUnits)
+    let m = 0
+    for (const ev of timeline) {
+      // Cut at barlines, then into writable values; every cut of a chord is tied
+      let pos = ev.start
+      while (pos < ev.end) {
+        while (measures[m].start + measures[m].units <= pos) m++
+        const measure = measures[m]
+        const offset = pos - measure.start
+        const [units, type, dots] = pickValue(offset, Math.min(ev.end, measure.start + measure.units) - pos)
+        measure[staff].push({
+          offset,
+          duration: units,
+          type,
+          dots,
+          pitches: ev.pitches,
+          ties: pos + units < ev.end ? ev.pitches : ev.ties,
+          time: toSeconds(pos),
+        })
+        pos += units
+      }
+    }
+  }
+
+  return { divisions: DIVISIONS, measures }
+}
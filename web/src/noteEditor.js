@@ -0,0 +1,111 @@
+// src/noteEditor.js
+// Note edits made on the piano roll, as pure functions over the note list the
+// chart is built from ({pitch,start,end,velocity,track,channel,percussion}).
+//
+// Every edit returns { notes, selected }: the new list sorted by start, and
+// the indexes the edited notes ended up at, so the selection follows them.
+// Undo/redo keeps whole note lists: { past, present, future }.
+
+import { tempoMap } from "./midiUtils"
+
+export const EDIT_GRIDS = [
+  [0, "Off"],
+  [1, "Beats"],
+  [2, "8ths"],
+  [4, "16ths"],
+  [3, "8th triplets"],
+]
+
+const MIN_LENGTH = 0.02   // seconds
+const HISTORY_LIMIT = 100
+
+// Chart notes without the fields the chart adds (audibleEnd, hands)
+export function editableNotes(notes) {
+  return notes.map(({ pitch, start, end, velocity, track, channel, percussion, sourceStart }) =>
+    ({ pitch, start, end, velocity, track, channel, percussion, sourceStart }))
+}
+
+/**
+ * Snapping to `grid` lines per beat of the tempo map (0 = off).
+ *   snap(t):     nearest grid line to t (seconds)
+ *   stepAfter(t): one grid step (a beat when off) after t, for new notes
+ */
+export function editGrid(header, grid) {
+  const tempo = tempoMap(header)
+  const step = 1 / (grid || 1) // beats
+  return {
+    snap: (t) => Math.max(0, grid ? tempo.toSeconds(Math.round(tempo.toBeats(t) / step) * step) : t),
+    stepAfter: (t) => tempo.toSeconds(tempo.toBeats(t) + step),
+  }
+}
+
+function clampPitch(p) {
+  return Math.max(21, Math.min(108, p))
+}
+
+// Sort by start and say where the `changed` indexes went
+function sorted(notes, changed) {
+  const order = notes.map((_, i) => i).sort((a, b) => notes[a].start - notes[b].start || notes[a].pitch - notes[b].pitch)
+  return {
+    notes: order.map(i => notes[i]),
+    selected: new Set(order.flatMap((i, k) => changed.has(i) ? [k] : [])),
+  }
+}
+
+/**
+ * One note as a drag leaves it.
+ * drag: { kind: "move" | "start" | "end", dt (seconds), dp (semitones), anchor }
+ *   move:  every note shifts by how far the grabbed note's start (anchor) moves
+ *          once snapped, so chords keep their shape
+ *   start / end: that edge of each note snaps on its own
+ */
+export function draggedNote(n, { kind, dt, dp, anchor }, snap) {
+  if (kind === "start") return { ...n, start: Math.min(n.end - MIN_LENGTH, snap(n.start + dt)) }
+  if (kind === "end") return { ...n, end: Math.max(n.start + MIN_LENGTH, snap(n.end + dt)) }
+  const start = Math.max(0, n.start + snap(anchor + dt) - anchor)
+  return { ...n, start, end: start + (n.end - n.start), pitch: clampPitch(n.pitch + dp) }
+}
+
+export function dragNotes(notes, indexes, drag, snap) {
+  return sorted(notes.map((n, i) => indexes.has(i) ? draggedNote(n, drag, snap) : n), indexes)
+}
+
+export function deleteNotes(notes, indexes) {
+  return { notes: notes.filter((_, i) => !indexes.has(i)), selected: new Set() }
+}
+
+// template: track, channel and velocity for the new note
+export function addNote(notes, { pitch, start }, grid, template) {
+  const at = grid.snap(start)
+  const note = { percussion: false, ...template, pitch: clampPitch(pitch), start: at, end: grid.stepAfter(at) }
+  return sorted([...notes, note], new Set([notes.length]))
+}
+
+export function setVelocity(notes, indexes, velocity) {
+  return {
+    notes: notes.map((n, i) => indexes.has(i) ? { ...n, velocity } : n),
+    selected: indexes,
+  }
+}
+
+// ---- History ----
+
+export function historyOf(notes) {
+  return { past: [], present: notes, future: [] }
+}
+
+// replace: change the present without a new undo step (a slider being dragged)
+export function pushHistory(history, notes, replace = false) {
+  if (replace) return { ...history, present: notes, future: [] }
+  return { past: [...history.past, history.present].slice(-HISTORY_LIMIT), present: notes, future: [] }
+}
+
+export function undo(history) {
+  if (!history.past.length) return history
+  return { past: history.past.slice(0, -1), present: history.past.at(-1), future: [history.present, ...history.future] }
+}
+
+export function redo(history) {
+  if (!history.future.length) return history
+  return { past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) }
+}
@@ -0,0 +1,77 @@
+// src/originalAudio.js
+// The audio a song was transcribed from, played under the notes so the two can
+// be compared. It follows the Transport: starting, pausing (including
+// wait-for-me stops) and stopping it moves the original along, and rates other
+// than 1× are time-stretched by a GrainPlayer so the pitch stays put.
+//
+// Everything plays through one crossfade: the original on side a, the
+// playback instruments (instruments.js) on side b.
+//
+//   original.setTiming({ offset, rate, lead })   before each Transport.start
+//   original.dispose()
+
+import * as Tone from "tone"
+
+let mix = null
+
+/** The shared crossfade; fade 0 = original only, 1 = transcription only. */
+export function playbackMix() {
+  if (!mix) mix = new Tone.CrossFade(1).toDestination()
+  return mix
+}
+
+/**
+ * The library song's source audio, or null if it has none (MIDI uploads, songs
+ * transcribed before it was kept).
+ */
+export async function loadOriginalAudio(songId) {
+  const res = await fetch(`/api/library/${songId}/audio`)
+  if (!res.ok) return null
+  const decoded = await Tone.getContext().decodeAudioData(await res.arrayBuffer())
+  return createOriginal(new Tone.ToneAudioBuffer(decoded))
+}
+
+function createOriginal(buffer) {
+  const output = playbackMix().a
+  const player = new Tone.Player(buffer).connect(output)
+  const stretcher = new Tone.GrainPlayer(buffer).connect(output)
+  // offset: song seconds at Transport time 0; lead: Transport seconds before
+  // the offset is reached (the drop time or count-in)
+  let timing = { offset: 0, rate: 1, lead: 0 }
+  let source = player
+
+  // The Transport started from `position` seconds (0, or where it paused)
+  const onStart = (time, position) => {
+    const { offset, rate, lead } = timing
+    const startAt = time + Math.max(0, lead - position)
+    // Transport events can arrive a moment after their time; catch up
+    const late = Math.max(0, Tone.immediate() - startAt)
+    const from = offset + (Math.max(0, position - lead) + late) * rate
+    if (from >= buffer.duration) return
+    source.start(startAt + late, from)
+  }
+  const onStop = (time) => source.stop(time)
+
+  Tone.Transport.on("start", onStart)
+  Tone.Transport.on("pause", onStop)
+  Tone.Transport.on("stop", onStop)
+
+  return {
+    setTiming(next) {
+      timing = next
+      const stretched = next.rate !== 1
+      if (stretched) stretcher.playbackRate = next.rate
+      if ((source === stretcher) !== stretched) {
+        source.stop()
+        source = stretched ? stretcher : player
+      }
+    },
+    dispose() {
+      Tone.Transport.off("start", onStart)
+      Tone.Transport.off("pause", onStop)
+      Tone.Transport.off("stop", onStop)
+      player.dispose()
+      stretcher.dispose()
+    },
+  }
+}
@@ -0,0 +1,77 @@
+// src/scoring.js
+// Judges a player's key presses against the chart.
+//
+// Windows are in REAL seconds (how early/late the finger was), converted to
+// musical seconds with the playback rate, so slowing down doesn't make the
+// game easier or harder.
+
+export const PERFECT_WINDOW = 0.05
+export const GOOD_WINDOW = 0.12
+
+/**
+ * notes: chart notes ({ pitch, start }). Only notes starting in [from, to)
+ * are judged; reset() starts a new attempt over a new range.
+ */
+export function createJudge(notes) {
+  let pending = []   // unjudged notes, sorted by start
+  let counts = { perfect: 0, good: 0, miss: 0 }
+  let combo = 0
+  let maxCombo = 0
+
+  function reset(from = 0, to = Infinity) {
+    pending = notes.filter(n => n.start >= from && n.start < to)
+    counts = { perfect: 0, good: 0, miss: 0 }
+    combo = 0
+    maxCombo = 0
+  }
+
+  function record(kind) {
+    counts[kind]++
+    combo = kind === "miss" ? 0 : combo + 1
+    maxCombo = Math.max(maxCombo, combo)
+  }
+
+  // Player pressed `pitch` at musical time t. Returns { kind, note } for the
+  // closest unjudged note of that pitch in the window, or null (a stray press)
+  function press(pitch, t, rate = 1) {
+    const good = GOOD_WINDOW * rate
+    let best = -1
+    for (let i = 0; i < pending.length; i++) {
+      const n = pending[i]
+      if (n.start > t + good) break
+      if (n.pitch !== pitch || n.start < t - good) continue
+      if (best < 0 || Math.abs(n.start - t) < Math.abs(pending[best].start - t)) best = i
+    }
+    if (best < 0) return null
+    const [note] = pending.splice(best, 1)
+    const kind = Math.abs(note.start - t) <= PERFECT_WINDOW * rate ? "perfect" : "good"
+    record(kind)
+    return { kind, note }
+  }
+
+  // Everything whose window closed before t is a miss; returns those notes
+  function sweep(t, rate = 1) {
+    const good = GOOD_WINDOW * rate
+    const missed = []
+    while (pending.length && pending[0].start < t - good) {
+      missed.push(pending.shift())
+      record("miss")
+    }
+    return missed
+  }
+
+  function stats() {
+    const judged = counts.perfect + counts.good + counts.miss
+    return {
+      ...counts,
+      combo,
+      maxCombo,
+      judged,
+      remaining: pending.length,
+      accuracy: judged ? Math.round(((counts.perfect + counts.good * 0.5) / judged) * 1000) / 10 : 100,
+    }
+  }
+
+  reset()
+  return { reset, press, sweep, stats }
+}
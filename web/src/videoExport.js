@@ -0,0 +1,171 @@
+// src/videoExport.js
+// Tutorial videos rendered in the browser, as an alternative to the server's
+// /mid-to-mp4. The roll is drawn by rollRenderer.js (the same code as the
+// on-screen PianoRoll) at a fixed step of 1/fps seconds, so no frame depends on
+// requestAnimationFrame or the Transport; the audio is rendered with
+// Tone.Offline using the chosen instrument (see audioExport.js). Both are
+// encoded with WebCodecs and muxed into WebM (VP9 + Opus) or MP4 (H.264 + AAC).
+
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from "webm-muxer"
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from "mp4-muxer"
+import { createRollRenderer, rollBackground, FIRST_KEY, LAST_KEY } from "./rollRenderer"
+import { renderChartAudio } from "./audioExport"
+import { isTrackAudible } from "./TrackPanel"
+
+export const VIDEO_RESOLUTIONS = [
+  [1280, 720, "720p"],
+  [1920, 1080, "1080p"],
+  [854, 480, "480p"],
+  [1080, 1920, "Vertical 1080×1920"],
+]
+export const VIDEO_FPS = [30, 60]
+
+const FORMATS = {
+  webm: {
+    mime: "video/webm",
+    video: "vp09.00.40.08",
+    audio: "opus",
+    muxer: (width, height, fps) => new WebmMuxer({
+      target: new WebmTarget(),
+      video: { codec: "V_VP9", width, height, frameRate: fps },
+      audio: { codec: "A_OPUS", sampleRate: SAMPLE_RATE, numberOfChannels: 2 },
+    }),
+  },
+  mp4: {
+    mime: "video/mp4",
+    video: "avc1.640033",
+    audio: "mp4a.40.2",
+    muxer: (width, height) => new Mp4Muxer({
+      target: new Mp4Target(),
+      video: { codec: "avc", width, height },
+      audio: { codec: "aac", sampleRate: SAMPLE_RATE, numberOfChannels: 2 },
+      fastStart: "in-memory",
+    }),
+  },
+}
+
+const SAMPLE_RATE = 48000
+const TAIL = 1.5            // seconds after the last note rings out
+const KEYFRAME_EVERY = 2    // seconds
+const MAX_QUEUE = 8         // frames waiting in the encoder before drawing more
+
+export function isVideoExportSupported() {
+  return typeof VideoEncoder !== "undefined" && typeof AudioEncoder !== "undefined"
+}
+
+async function encodeAudio(audioBuffer, config, muxer) {
+  let failure = null
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (err) => { failure = err },
+  })
+  encoder.configure(config)
+
+  const left = audioBuffer.getChannelData(0)
+  const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left
+  for (let i = 0; i < audioBuffer.length; i += SAMPLE_RATE) {
+    const frames = Math.min(SAMPLE_RATE, audioBuffer.length - i)
+    const data = new Float32Array(frames * 2)
+    data.set(left.subarray(i, i + frames), 0)
+    data.set(right.subarray(i, i + frames), frames)
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: SAMPLE_RATE,
+      numberOfFrames: frames,
+      numberOfChannels: 2,
+      timestamp: Math.round(i * 1e6 / SAMPLE_RATE),
+      data,
+    })
+    encoder.encode(audioData)
+    audioData.close()
+  }
+  await encoder.flush()
+  encoder.close()
+  if (failure) throw failure
+}
+
+/**
+ * Render the chart as a video.
+ *   chart, trackSettings: what the Visualizer shows (edits and hidden tracks included)
+ *   options:
+ *     format        "webm" | "mp4"
+ *     width, height, fps
+ *     instrumentId  see instruments.js
+ *     theme         { spiderMode, spiderVariant, spiderTheme, showWebs, showSpiders, showHero }
+ *     view          the on-screen { keyW, keyboardH, pps, dropTime }, scaled to the width
+ *     onProgress({ stage: "audio" | "video", progress: 0..100 })
+ *     signal        AbortSignal
+ * Resolves to a Blob of the finished file.
+ */
+export async function exportVideo(chart, trackSettings, options) {
+  const { format, width, height, fps, instrumentId, theme, view, onProgress, signal } = options
+  const spec = FORMATS[format]
+  const checkAborted = () => {
+    if (signal?.aborted) throw new DOMException("Video export cancelled", "AbortError")
+  }
+
+  const videoConfig = { codec: spec.video, width, height, bitrate: width * height * fps / 6, framerate: fps }
+  const audioConfig = { codec: spec.audio, sampleRate: SAMPLE_RATE, numberOfChannels: 2, bitrate: 192000 }
+  if (!(await VideoEncoder.isConfigSupported(videoConfig)).supported
+      || !(await AudioEncoder.isConfigSupported(audioConfig)).supported) {
+    throw new Error(`This browser can't encode ${format.toUpperCase()} at ${width}×${height}`)
+  }
+
+  // Same picture as the screen, scaled so all keys fill the width
+  const scale = width / ((LAST_KEY - FIRST_KEY + 1) * view.keyW)
+  const lead = view.dropTime
+  const end = chart.notes
+    .filter(n => !trackSettings[n.track]?.hidden || isTrackAudible(n.track, trackSettings))
+    .reduce((last, n) => Math.max(last, n.audibleEnd ?? n.end), 0)
+  const duration = lead + end + TAIL
+
+  onProgress?.({ stage: "audio", progress: 0 })
+  const audioBuffer = await renderChartAudio(chart, trackSettings, instrumentId, lead, duration, SAMPLE_RATE)
+  checkAborted()
+
+  const muxer = spec.muxer(width, height, fps)
+  await encodeAudio(audioBuffer, audioConfig, muxer)
+  let failure = null
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (err) => { failure = err },
+  })
+  encoder.configure(videoConfig)
+
+  const canvas = typeof OffscreenCanvas !== "undefined"
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement("canvas"), { width, height })
+  const ctx = canvas.getContext("2d")
+  const roll = createRollRenderer()
+  const drawOptions = {
+    chart, trackSettings, ...theme,
+    rate: 1,
+    musicOffset: 0,
+    dropTime: lead,
+    keyW: view.keyW * scale,
+    keyboardH: view.keyboardH * scale,
+    pps: view.pps * scale,
+    background: rollBackground(theme.spiderMode, theme.spiderVariant),
+  }
+
+  try {
+    const frames = Math.ceil(duration * fps)
+    for (let k = 0; k < frames; k++) {
+      checkAborted()
+      if (failure) throw failure
+      roll.draw(ctx, drawOptions, k / fps)
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(k * 1e6 / fps), duration: Math.round(1e6 / fps) })
+      encoder.encode(frame, { keyFrame: k % (fps * KEYFRAME_EVERY) === 0 })
+      frame.close()
+      while (encoder.encodeQueueSize > MAX_QUEUE) await new Promise(resolve => setTimeout(resolve, 1))
+      if (k % fps === 0) onProgress?.({ stage: "video", progress: Math.round(k / frames * 100) })
+    }
+    await encoder.flush()
+    if (failure) throw failure
+  } finally {
+    if (encoder.state !== "closed") encoder.close()
+  }
+
+  muxer.finalize()
+  return new Blob([muxer.target.buffer], { type: spec.mime })
+}